@@ -0,0 +1,210 @@
+/*
+ * Copyright (c) 2013, Yahoo! Inc.  All rights reserved.
+ * Copyrights licensed under the New BSD License.
+ * See the accompanying LICENSE file for terms.
+ */
+
+/*jslint node:true, nomen: true */
+
+/**
+The `express-yui` command line tool to build the app ahead of time.
+
+@module express-yui
+@submodule cli
+**/
+
+'use strict';
+
+var libfs = require('fs'),
+    libpath = require('path'),
+    libmkdirp = require('mkdirp'),
+    USAGE = [
+        'Usage: express-yui build [appDir] [options]',
+        '',
+        'Builds every locator bundle in the app and writes a manifest for production.',
+        '',
+        'Options:',
+        '  --build-dir <dir>   build folder, default to `<appDir>/build`',
+        '  --manifest <file>   manifest file, default to `<buildDir>/yui-manifest.json`',
+        '  --config <file>     module to configure locator with the plugins of the app',
+        '  --gzip              build a `.gz` version of every js and css file',
+        '  --cssproc           readjust urls in css modules to work with combo',
+        '  --lint              lint modules thru shifter',
+        '  --no-cache          build every module, even if it was not modified'
+    ].join('\n');
+
+/**
+Parses the command line arguments.
+
+@method parseArgs
+@static
+@param {Array} argv the command line arguments without `node` and the script
+@return {Object} the parsed `command` and options
+**/
+function parseArgs(argv) {
+
+    var options = {
+            cache: true
+        },
+        positional = [],
+        arg,
+        i;
+
+    for (i = 0; i < argv.length; i += 1) {
+        arg = argv[i];
+        if (arg === '--build-dir') {
+            i += 1;
+            options.buildDir = argv[i];
+        } else if (arg === '--manifest') {
+            i += 1;
+            options.manifest = argv[i];
+        } else if (arg === '--config') {
+            i += 1;
+            options.config = argv[i];
+        } else if (arg === '--gzip' || arg === '--cssproc' || arg === '--lint') {
+            options[arg.slice(2)] = true;
+        } else if (arg === '--no-cache') {
+            options.cache = false;
+        } else if (arg.indexOf('--') === 0) {
+            options.invalid = arg;
+        } else {
+            positional.push(arg);
+        }
+    }
+
+    options.command = positional[0];
+    options.appDir = positional[1] || process.cwd();
+
+    return options;
+
+}
+
+/**
+Builds every locator bundle in the app thru the locator plugin of
+`express-yui`, even in production environments, and writes a manifest
+with the groups, meta files, modules and hashes.
+
+The module in `options.config`, relative to the app, can export a list
+of locator plugins, or a function that receives the `Locator` class,
+the locator options and `app.yui`, and returns the configured locator
+or a list of plugins. Those plugins will be plugged before the plugin
+of `express-yui`:
+
+    module.exports = function (Locator, options, yui) {
+        return [new LocatorHandlebars({ format: 'yui' })];
+    };
+
+@method build
+@static
+@param {Object} options the build settings produced by `parseArgs()`
+@param {Function} callback
+    @param {Error} callback.err
+    @param {Object} callback.manifest
+**/
+function build(options, callback) {
+
+    var appDir = libpath.resolve(options.appDir || process.cwd()),
+        buildDir = libpath.resolve(appDir, options.buildDir || 'build'),
+        manifestFile = libpath.resolve(appDir, options.manifest || libpath.join(buildDir, 'yui-manifest.json')),
+        settings = {},
+        // the minimum api of an express app needed by `express-yui`
+        app = {
+            set: function (name, value) {
+                if (arguments.length === 1) {
+                    return settings[name];
+                }
+                settings[name] = value;
+                return app;
+            }
+        },
+        locatorOptions = {
+            buildDirectory: buildDir
+        },
+        locator,
+        setup,
+        yui,
+        Locator;
+
+    yui = new (require('./yui'))(app);
+
+    try {
+        Locator = require(libpath.join(appDir, 'node_modules', 'locator'));
+    } catch (e) {
+        try {
+            Locator = require('locator');
+        } catch (e2) {
+            return callback(new Error('Unable to require("locator"), make sure it is ' +
+                'installed as a dependency of the app.'));
+        }
+    }
+
+    if (options.config) {
+        try {
+            setup = require(libpath.resolve(appDir, options.config));
+            if (typeof setup === 'function') {
+                setup = setup(Locator, locatorOptions, yui);
+            }
+        } catch (e3) {
+            return callback(e3);
+        }
+    }
+
+    if (setup && !Array.isArray(setup)) {
+        // the app provides the configured locator
+        locator = setup;
+    } else {
+        locator = new Locator(locatorOptions);
+        (setup || []).forEach(function (plugin) {
+            locator.plug(plugin);
+        });
+    }
+
+    locator.plug(yui.plugin({
+        registerGroup: true,
+        force: true,
+        cache: options.cache,
+        gzip: options.gzip,
+        cssproc: options.cssproc,
+        lint: options.lint
+    })).parseBundle(appDir, {}).then(function () {
+        var manifest = yui.getManifest(libpath.dirname(manifestFile));
+        libmkdirp.sync(libpath.dirname(manifestFile));
+        libfs.writeFileSync(manifestFile, JSON.stringify(manifest, null, 4), 'utf8');
+        callback(null, manifest);
+    }).then(null, callback);
+
+}
+
+/**
+Runs the command line tool.
+
+@method run
+@static
+@param {Array} argv the command line arguments without `node` and the script
+@param {Function} callback
+    @param {Error} callback.err
+**/
+function run(argv, callback) {
+
+    var options = parseArgs(argv);
+
+    if (options.command !== 'build' || options.invalid) {
+        console.error(USAGE);
+        return callback(new Error(options.invalid ? 'Unknown option ' + options.invalid : 'Unknown command'));
+    }
+
+    build(options, function (err, manifest) {
+        if (!err) {
+            console.log('Built ' + Object.keys(manifest.groups).length + ' groups in ' +
+                (options.buildDir || 'build'));
+        }
+        callback(err);
+    });
+
+}
+
+module.exports = {
+    parseArgs: parseArgs,
+    build: build,
+    run: run
+};
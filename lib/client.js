@@ -61,7 +61,9 @@ function bootstrap() {
     }
 
     function createScriptNode(src) {
-        var node = d.createElement('script');
+        var node = d.createElement('script'),
+            attrs = config.jsAttributes || {},
+            name;
         // use async=false for ordered async?
         // parallel-load-serial-execute http://wiki.whatwg.org/wiki/Dynamic_Script_Execution_Order
         if (node.async) {
@@ -77,10 +79,82 @@ function bootstrap() {
         } else {
             node.onload = node.onerror = decrementRequestPending;
         }
+        // custom attributes like the CSP `nonce`, also honored by loader
+        for (name in attrs) {
+            if (attrs.hasOwnProperty(name)) {
+                node.setAttribute(name, attrs[name]);
+            }
+        }
+        // seed entries could be objects with subresource integrity
+        if (typeof src == 'object') {
+            if (src.integrity) {
+                node.setAttribute('integrity', src.integrity);
+                node.setAttribute('crossorigin', src.crossorigin || 'anonymous');
+            }
+            src = src.src;
+        }
         node.setAttribute('src', src);
         return node;
     }
 
+    // showing build failures reported by the server in development
+    function overlay(errors) {
+        var node = d.createElement('pre'),
+            text = [],
+            i;
+        if (!d.body) {
+            setTimeout(function () {
+                overlay(errors);
+            }, 50);
+            return;
+        }
+        for (i = 0; i < errors.length; i++) {
+            text.push('[' + errors[i].time + '] ' + errors[i].bundle + ': ' + (errors[i].file || '') + '\n' + errors[i].output);
+        }
+        // CSSOM is allowed by `style-src` policies, unlike the style attribute
+        node.style.cssText = 'position:fixed;top:0;left:0;right:0;max-height:100%;overflow:auto;margin:0;' +
+            'padding:1em;z-index:2147483647;background:#300;color:#fcc;font:12px monospace;white-space:pre-wrap;';
+        node.appendChild(d.createTextNode('express-yui build failed:\n\n' + text.join('\n\n')));
+        d.body.appendChild(node);
+    }
+
+    // swapping a stylesheet without touching its url, which might be a combo url,
+    // the old node is removed once the new one is ready to avoid a flash of unstyled content
+    function swap(link) {
+        var node = link.cloneNode(true);
+        node.onload = node.onerror = function () {
+            node.onload = node.onerror = null;
+            if (link.parentNode) {
+                link.parentNode.removeChild(link);
+            }
+        };
+        link.parentNode.insertBefore(node, link.nextSibling);
+    }
+
+    // subscribing to rebuilds of the app thru `expyui.reload()`
+    function listen(url) {
+        var source = new window.EventSource(url);
+        source.addEventListener('reload', function (e) {
+            var data = JSON.parse(e.data),
+                links = d.getElementsByTagName('link'),
+                stylesheets = [],
+                i;
+            if (data.type != 'css') {
+                location.reload();
+                return;
+            }
+            // `links` is a live collection, and it will change while swapping
+            for (i = 0; i < links.length; i++) {
+                if (/stylesheet/i.test(links[i].rel)) {
+                    stylesheets.push(links[i]);
+                }
+            }
+            for (i = 0; i < stylesheets.length; i++) {
+                swap(stylesheets[i]);
+            }
+        }, false);
+    }
+
     function load() {
         if (!config.seed) {
             throw new Error('YUI_config.seed array is required.');
@@ -119,6 +193,16 @@ function bootstrap() {
         self._Y.use.apply(self._Y, args);
     });
 
+    if (self.buildErrors && self.buildErrors.length && !self._overlay) {
+        self._overlay = true;
+        overlay(self.buildErrors);
+    }
+
+    if (self.reloadUrl && !self._reload && window.EventSource) {
+        self._reload = true;
+        listen(self.reloadUrl);
+    }
+
     // just in case YUI was injected manually in the page
     self.YUI = self.YUI || (typeof YUI != "undefined" ? YUI : null);
 
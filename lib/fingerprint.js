@@ -0,0 +1,227 @@
+/*
+ * Copyright (c) 2013, Yahoo! Inc.  All rights reserved.
+ * Copyrights licensed under the New BSD License.
+ * See the accompanying LICENSE file for terms.
+ */
+
+/*jslint node:true, nomen: true */
+
+/**
+The `express-yui.fingerprint` extension provides a set of features
+to produce content based urls for groups to facilitate far-future
+caching of yui modules.
+
+@module yui
+@submodule fingerprint
+**/
+
+'use strict';
+
+var libfs = require('fs'),
+    libpath = require('path'),
+    existsSync = libfs.existsSync || libpath.existsSync,
+    crypto = require('crypto'),
+    debug = require('debug')('express:yui:fingerprint'),
+    FINGERPRINT_LENGTH = 8;
+
+function md5(data) {
+    var md5sum = crypto.createHash('md5');
+    md5sum.update(data);
+    return md5sum.digest('hex');
+}
+
+function escapeRegExp(str) {
+    return str.replace(/[\-\[\]\/\{\}\(\)\*\+\?\.\\\^\$\|]/g, '\\$&');
+}
+
+/**
+The `express-yui.fingerprint` extension provides a set of features
+to produce content based urls for groups. When fingerprinting is enabled,
+the directory of each registered group in `base` and `root` will be
+suffixed with a hash computed from the content of the files in the group
+build folder, which means that loader, `app.yui.getSeedUrls()` and
+`app.yui.buildJSUrls()` will produce urls that change every time the
+group is built with different content:
+
+    app.set('yui fingerprint', true);
+    app.yui.setCoreFromAppOrigin();
+    app.yui.registerGroup('foo', 'path/to/foo-1.2.3');
+    // `/foo-1.2.3/` becomes `/foo-1.2.3-<hash>/`
+    app.use(expyui.static());
+
+`expyui.static()` will resolve those urls back into the group build
+folder, and will serve them with immutable cache headers.
+
+@class fingerprint
+@static
+@uses *fs, *path, *crypto
+@extensionfor yui
+*/
+module.exports = {
+
+    /**
+    The `Cache-Control` header used to serve fingerprinted urls.
+
+    @property FINGERPRINT_CACHE_CONTROL
+    @type {String}
+    **/
+    FINGERPRINT_CACHE_CONTROL: 'public, max-age=31536000, immutable',
+
+    /**
+    Computes the content hash of the files in the build folder of a
+    registered group and updates the `base` and `root` of the group
+    to use the fingerprinted directory. This method is called by
+    `registerGroup()` when `app.set('yui fingerprint', true)`, and
+    by the locator plugin every time the group gets built.
+
+        app.yui.fingerprintGroup('foo');
+
+    @method fingerprintGroup
+    @public
+    @param {String} groupName the name of a registered group.
+    @param {Object} files optional hash of each file in the group produced by
+    `_hashGroupFiles()`, if not provided, the files will be read from the group folder.
+    @chainable
+    **/
+    fingerprintGroup: function (groupName, files) {
+
+        var config = this.config(),
+            groupConfig = config.groups && config.groups[groupName],
+            groupRoot = this._groupFolderMap && this._groupFolderMap[groupName],
+            entry,
+            hash,
+            dir;
+
+        if (!groupConfig || !groupRoot) {
+            throw new Error('Unable to fingerprint group `' + groupName + '`; make sure ' +
+                'the group was registered thru `app.yui.registerGroup()`.');
+        }
+
+        this._groupFingerprints = this._groupFingerprints || {};
+        entry = this._groupFingerprints[groupName] = this._groupFingerprints[groupName] || {
+            groupDir: libpath.basename(groupRoot)
+        };
+        // the directory currently used in `base` and `root`
+        entry.dir = entry.dir || entry.groupDir;
+
+        files = files || this._hashGroupFiles(groupRoot);
+        hash = this._hashGroup(files);
+        dir = entry.groupDir + '-' + hash;
+
+        if (groupConfig.base.indexOf(entry.dir) === -1 && groupConfig.root.indexOf(entry.dir) === -1) {
+            debug('Group [%s] does not use its directory in `base` or `root`, ' +
+                'fingerprinted urls will not be produced.', groupName);
+        }
+
+        groupConfig.base = groupConfig.base.split(entry.dir).join(dir);
+        groupConfig.root = groupConfig.root.split(entry.dir).join(dir);
+
+        entry.dir = dir;
+        entry.hash = hash;
+        entry.files = files;
+
+        debug('Group [%s] fingerprinted as [%s]', groupName, dir);
+
+        return this;
+
+    },
+
+    /**
+    Resolves a fingerprinted url, or a combo url with fingerprinted
+    parts, into the url using the real directory of the groups.
+
+    @method _resolveFingerprintedUrl
+    @protected
+    @param {String} url the url to be resolved
+    @param {Object} comboConfig the combo configuration used to split combo urls
+        @param {String} comboConfig.comboBase
+        @param {String} comboConfig.comboSep
+    @return {Object} the resolved `url`, plus `immutable` flag set to `true`
+        when every part of the url uses the current fingerprint of the group.
+    **/
+    _resolveFingerprintedUrl: function (url, comboConfig) {
+
+        var fingerprints = this._groupFingerprints || {},
+            parts = 1,
+            matches = 0,
+            current = true,
+            groupName;
+
+        function replacer(entry) {
+            return function (match, prefix, hash) {
+                matches += 1;
+                current = current && (hash === entry.hash);
+                return prefix + entry.groupDir;
+            };
+        }
+
+        if (comboConfig && comboConfig.comboBase && url.indexOf(comboConfig.comboBase) === 0) {
+            parts = url.slice(comboConfig.comboBase.length).split(comboConfig.comboSep).length;
+        }
+
+        for (groupName in fingerprints) {
+            if (fingerprints.hasOwnProperty(groupName)) {
+                url = url.replace(new RegExp('([^\\w.\\-]|^)' + escapeRegExp(fingerprints[groupName].groupDir) +
+                    '-([0-9a-f]{' + FINGERPRINT_LENGTH + '})(?=\\/)', 'g'), replacer(fingerprints[groupName]));
+            }
+        }
+
+        return {
+            url: url,
+            immutable: matches > 0 && matches === parts && current
+        };
+
+    },
+
+    /**
+    Computes the content hash of a group based on the hash of its files.
+
+    @method _hashGroup
+    @protected
+    @param {Object} files the hash of each file produced by `_hashGroupFiles()`
+    @return {String} the content hash of the group
+    **/
+    _hashGroup: function (files) {
+        return md5(Object.keys(files).sort().map(function (file) {
+            return file + ':' + files[file];
+        }).join('\n')).slice(0, FINGERPRINT_LENGTH);
+    },
+
+    /**
+    Computes the md5 hash of every file within a folder, excluding
+    hidden files and folders like the `.cache` folder used by shifter.
+
+    @method _hashGroupFiles
+    @protected
+    @param {String} groupRoot filesystem path for the group build folder
+    @return {Object} the hash of each file, using the path relative to `groupRoot` as the key
+    **/
+    _hashGroupFiles: function (groupRoot) {
+
+        var files = {};
+
+        function walk(dir) {
+            libfs.readdirSync(libpath.join(groupRoot, dir)).forEach(function (name) {
+                var relativePath = dir ? dir + '/' + name : name,
+                    stat;
+                if (name.charAt(0) === '.') {
+                    return;
+                }
+                stat = libfs.statSync(libpath.join(groupRoot, relativePath));
+                if (stat.isDirectory()) {
+                    walk(relativePath);
+                } else if (stat.isFile()) {
+                    files[relativePath] = md5(libfs.readFileSync(libpath.join(groupRoot, relativePath)));
+                }
+            });
+        }
+
+        if (existsSync(groupRoot)) {
+            walk('');
+        }
+
+        return files;
+
+    }
+
+};
@@ -0,0 +1,218 @@
+/*
+ * Copyright (c) 2013, Yahoo! Inc.  All rights reserved.
+ * Copyrights licensed under the New BSD License.
+ * See the accompanying LICENSE file for terms.
+ */
+
+/*jslint node:true, nomen: true */
+
+/**
+The `express-yui.gzip` extension provides a set of features
+to precompress yui modules and combos served from origin.
+
+@module yui
+@submodule gzip
+**/
+
+'use strict';
+
+var libfs = require('fs'),
+    libpath = require('path'),
+    zlib = require('zlib'),
+    debug = require('debug')('express:yui:gzip'),
+    GZIP_EXTENSIONS = ['.js', '.css'],
+    MAX_GZIP_ENTRIES = 500;
+
+/**
+The `express-yui.gzip` extension provides a set of features
+to precompress yui modules and combos served from origin.
+`expyui.static()` will rely on this extension when the `gzip`
+option is set:
+
+    app.use(expyui.static({ gzip: true }));
+
+Precompressed `.gz` files will be served for modules in groups
+built by the locator plugin with the `gzip` option, while core
+modules and combos will be compressed in memory once they get
+frequently requested.
+
+@class gzip
+@static
+@uses *fs, *path, *zlib
+@extensionfor yui
+*/
+module.exports = {
+
+    /**
+    Builds a `.gz` version of every `.js` and `.css` file within the
+    folder of a registered group. Files with an up to date `.gz`
+    version will not be compressed again. This method is called by
+    the locator plugin after building the group when the `gzip`
+    option is set.
+
+        app.yui.gzipGroup('foo', function (err) {});
+
+    @method gzipGroup
+    @public
+    @param {String} groupName the name of a registered group.
+    @param {Function} callback
+        @param {Error} callback.err
+    **/
+    gzipGroup: function (groupName, callback) {
+
+        var groupRoot = this._groupFolderMap && this._groupFolderMap[groupName],
+            files = [],
+            pending,
+            failed;
+
+        if (!groupRoot) {
+            return callback(new Error('Unable to gzip group `' + groupName + '`; make sure ' +
+                'the group was registered thru `app.yui.registerGroup()`.'));
+        }
+
+        function walk(dir) {
+            libfs.readdirSync(dir).forEach(function (name) {
+                var path = libpath.join(dir, name),
+                    stat;
+                if (name.charAt(0) === '.') {
+                    return;
+                }
+                stat = libfs.statSync(path);
+                if (stat.isDirectory()) {
+                    walk(path);
+                } else if (GZIP_EXTENSIONS.indexOf(libpath.extname(name)) >= 0) {
+                    files.push({
+                        path: path,
+                        mtime: stat.mtime.getTime()
+                    });
+                }
+            });
+        }
+
+        try {
+            walk(groupRoot);
+        } catch (e) {
+            return callback(e);
+        }
+
+        pending = files.length;
+        if (pending === 0) {
+            return callback();
+        }
+
+        function done(err) {
+            failed = failed || err;
+            pending -= 1;
+            if (pending === 0) {
+                debug('Group [%s] precompressed with %d files', groupName, files.length);
+                callback(failed || undefined);
+            }
+        }
+
+        files.forEach(function (file) {
+            libfs.stat(file.path + '.gz', function (err, stat) {
+                if (!err && stat.mtime.getTime() >= file.mtime) {
+                    return done();
+                }
+                libfs.readFile(file.path, function (err, data) {
+                    if (err) {
+                        return done(err);
+                    }
+                    zlib.gzip(data, function (err, compressed) {
+                        if (err) {
+                            return done(err);
+                        }
+                        libfs.writeFile(file.path + '.gz', compressed, done);
+                    });
+                });
+            });
+        });
+
+    },
+
+    /**
+    Gets the compressed version of an asset composed by one or more files.
+    A single file with a `.gz` version built by `gzipGroup()` will be read from
+    disk, otherwise the files will be combined and compressed in memory
+    once the asset gets requested `threshold` times. Compressed assets are
+    cached until the next build.
+
+    @method _getGzipAsset
+    @protected
+    @param {String} url the url of the asset, used as the cache key
+    @param {Array} paths the filesystem path of each file in the asset
+    @param {Number} threshold number of requests before compressing the asset in memory
+    @param {Function} callback
+        @param {Error} callback.err
+        @param {Buffer} callback.data the compressed asset, or `undefined`
+            if the asset should be served without compression.
+    **/
+    _getGzipAsset: function (url, paths, threshold, callback) {
+
+        var yui = this,
+            cache = this._gzipCache = this._gzipCache || {},
+            hits = this._gzipHits = this._gzipHits || {},
+            body = [],
+            pending = paths.length,
+            failed;
+
+        if (cache.hasOwnProperty(url)) {
+            return callback(null, cache[url]);
+        }
+
+        function compress() {
+            if (!hits.hasOwnProperty(url) && Object.keys(hits).length >= MAX_GZIP_ENTRIES) {
+                // too many urls waiting for compression, starting over
+                hits = yui._gzipHits = {};
+            }
+            hits[url] = (hits[url] || 0) + 1;
+            if (hits[url] < threshold || Object.keys(cache).length >= MAX_GZIP_ENTRIES) {
+                return callback();
+            }
+            paths.forEach(function (path, i) {
+                libfs.readFile(path, function (err, data) {
+                    failed = failed || err;
+                    body[i] = data;
+                    pending -= 1;
+                    if (pending > 0) {
+                        return;
+                    }
+                    if (failed) {
+                        return callback(failed);
+                    }
+                    zlib.gzip(Buffer.concat(body), function (err, compressed) {
+                        if (err) {
+                            return callback(err);
+                        }
+                        // the cache could be flushed by a new build in the meantime
+                        yui._gzipCache = yui._gzipCache || {};
+                        yui._gzipCache[url] = compressed;
+                        delete hits[url];
+                        callback(null, compressed);
+                    });
+                });
+            });
+        }
+
+        if (paths.length !== 1) {
+            return compress();
+        }
+
+        // using the precompressed file only if it is up to date
+        libfs.stat(paths[0], function (err, stat) {
+            if (err) {
+                return callback(err);
+            }
+            libfs.stat(paths[0] + '.gz', function (err, gzStat) {
+                if (err || gzStat.mtime.getTime() < stat.mtime.getTime()) {
+                    return compress();
+                }
+                libfs.readFile(paths[0] + '.gz', function (err, data) {
+                    callback(err, data);
+                });
+            });
+        });
+
+    }
+
+};
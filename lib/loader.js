@@ -63,6 +63,24 @@ module.exports = {
         this._bundles[bundleName][cacheKey] = mod;
     },
 
+    /**
+    Gets the last build failure for each bundle built by the locator plugin.
+    A failure will be reported until the next successful build of the bundle.
+
+        app.yui.getBuildErrors();
+        // [{ bundle: 'app', file: '/path/to/app/foo.js', output: '...', time: '2013-...' }]
+
+    @method getBuildErrors
+    @public
+    @return {Array} the list of failures with `bundle`, `file`, `output`, `diagnostics` and `time`
+    **/
+    getBuildErrors: function () {
+        var errors = this._buildErrors || {};
+        return Object.keys(errors).map(function (bundleName) {
+            return errors[bundleName];
+        });
+    },
+
     /**
     Creates a locator plugin that can analyze locator bundles, build modules
     and build loader metadata for all yui modules within the bundle.
@@ -79,8 +97,15 @@ module.exports = {
         @param {Boolean|Function} options.registerServerModules Whether or not server
             modules should be provisioned to be loaded thru `app.yui.use()` on the
             server side. Default to false.
-        @param {Boolean} options.cache Whether or not the shifting process should be cached
-            to speed up the build process. By default, it is true.
+        @param {Boolean|String} options.cache Whether or not the shifting process should be cached
+            to speed up the build process. By default, it is true. Use `"verify"` to also verify
+            that the output files of the cached modules still exist.
+        @param {number} options.concurrency Optional max number of shifter worker processes running
+            at the same time. Default to the number of cpus.
+        @param {boolean} options.failOnWarnings Optional flag to consider lint warnings reported
+            by shifter as a build failure. Lint and parse errors will be emitted thru the
+            `diagnostics` event of `app.yui`. It enables `lint`, and it disables `silent`
+            and `quiet` since diagnostics are collected from the shifter output.
         @param {string} options.buildDir Optional custom filesystem path for the output
             folder of the shifter. Default to an internal computation based on `locator.buildDir`.
         @param {object} options.args Optional custom shifter cli arguments. This will overrule
@@ -89,6 +114,10 @@ module.exports = {
         @param {object} options.coverage Optional generate `-coverage.js` version of modules in shifter.
         @param {object} options.silent Optional run shifter in silent mode.
         @param {object} options.quiet Optional run shifter in quiet mode.
+        @param {boolean} options.force Optional flag to build modules even in production
+            environments, used by the `express-yui build` command.
+        @param {boolean} options.gzip Optional build a `.gz` version of every `.js` and `.css`
+            file in the group to be served by `expyui.static({ gzip: true })`.
         @param {boolean} options.cssproc Optional flag to preprocess css to readjust urls for assets
             to resolve with `base` for the corresponding group to make them work with combo.
         @param {RegExp|Function} options.filter optional regex or function to execute
@@ -121,18 +150,25 @@ module.exports = {
         if (!options.coverage) {
             args.push('--no-coverage');
         }
-        if (!options.lint) {
+        // lint is required to report warnings as failures
+        if (!options.lint && !options.failOnWarnings) {
             args.push('--no-lint');
         }
-        // if not debug, then let's make shifter to run in silence mode
-        if (!utils.debugMode || options.silent) {
-            debug('running shifter in silent mode');
-            args.push('--silent');
-        }
-        // if not debug, then let's make shifter to run in quiet mode
-        if (!utils.debugMode || options.quiet) {
-            debug('running shifter in quiet mode');
-            args.push('--quiet');
+        // diagnostics are collected from the shifter output, which
+        // is suppressed in silent and quiet modes
+        if (options.failOnWarnings) {
+            debug('running shifter in verbose mode to collect diagnostics');
+        } else {
+            // if not debug, then let's make shifter to run in silence mode
+            if (!utils.debugMode || options.silent) {
+                debug('running shifter in silent mode');
+                args.push('--silent');
+            }
+            // if not debug, then let's make shifter to run in quiet mode
+            if (!utils.debugMode || options.quiet) {
+                debug('running shifter in quiet mode');
+                args.push('--quiet');
+            }
         }
 
         return {
@@ -184,53 +220,9 @@ module.exports = {
 
                     var server,
                         client,
-                        serverMeta = {},
-                        clientMeta = {},
-                        mod,
-                        build,
-                        affinity;
-
-                    // allocating metas for client and server
-                    for (mod in meta) {
-                        if (meta.hasOwnProperty(mod)) {
-                            for (build in meta[mod].builds) {
-                                if (meta[mod].builds.hasOwnProperty(build)) {
-                                    affinity = meta[mod].builds[build].config && meta[mod].builds[build].config.affinity;
-                                    if (affinity !== 'client') {
-                                        // if not marked as client, it should be available on the server
-                                        serverMeta[mod] = serverMeta[mod] || {
-                                            name: meta[mod].name,
-                                            buildfile: meta[mod].buildfile,
-                                            builds: {}
-                                        };
-                                        serverMeta[mod].builds[build] = meta[mod].builds[build];
-                                    }
-                                    if (affinity !== 'server') {
-                                        // if not marked as server, it should be available on the client
-                                        clientMeta[mod] = clientMeta[mod] || {
-                                            name: meta[mod].name,
-                                            buildfile: meta[mod].buildfile,
-                                            builds: {}
-                                        };
-                                        clientMeta[mod].builds[build] = meta[mod].builds[build];
-                                    }
-                                }
-                            }
-                        }
-                    }
-
-                    // defining the synthetically created meta module for client, it is not needed on the server
-                    clientMeta[moduleName] = clientMeta[moduleName] || {
-                        name: moduleName,
-                        buildfile: destination_path,
-                        builds: {}
-                    };
-                    clientMeta[moduleName].builds[moduleName] = {
-                        name: moduleName,
-                        config: {
-                            affinity: 'client'
-                        }
-                    };
+                        metas = yui._allocateMetas(meta, moduleName, destination_path),
+                        serverMeta = metas.server,
+                        clientMeta = metas.client;
 
                     // computing the meta module
                     client = new (yui.BuilderClass)({
@@ -248,6 +240,11 @@ module.exports = {
 
                             yui.registerGroup(bundle.name, bundle.yuiBuildDirectory, newfile);
 
+                            // storing the modules to be attached on the server in case
+                            // we need to produce a manifest thru `express-yui build`
+                            yui._groupUseServerModulesMap = yui._groupUseServerModulesMap || {};
+                            yui._groupUseServerModulesMap[bundleName] = bundle.useServerModules;
+
                             // automatically register modules into a server instance if needed
                             if (options.registerServerModules) {
 
@@ -285,13 +282,35 @@ module.exports = {
                         yui.shiftFiles(builds, {
                             buildDir: bundle.yuiBuildDirectory,
                             args: args.concat(self.describe.args),
-                            cache: self.describe.cache
+                            cache: self.describe.cache,
+                            concurrency: self.describe.concurrency,
+                            failOnWarnings: self.describe.failOnWarnings,
+                            force: self.describe.force
                         }, function (e) {
+                            function done() {
+                                // notifying browsers connected thru `expyui.reload()`
+                                if (yui._reloadClients && yui._reloadClients.length) {
+                                    yui.notifyReload(bundleName, files);
+                                }
+                                fulfilled();
+                            }
+                            yui._recordBuild(bundleName, e);
                             if (e) {
                                 rejected(e);
                                 return;
                             }
-                            fulfilled();
+                            // building `.gz` version of the group files
+                            if (options.gzip && yui._groupFolderMap && yui._groupFolderMap[bundleName]) {
+                                yui.gzipGroup(bundleName, function (e) {
+                                    if (e) {
+                                        rejected(e);
+                                        return;
+                                    }
+                                    done();
+                                });
+                                return;
+                            }
+                            done();
                         });
 
                     }, rejected).then(null, rejected);
@@ -304,6 +323,113 @@ module.exports = {
 
     },
 
+    /**
+    Allocates the metas of the modules in a bundle for the client and the server
+    based on the `affinity` of each build, and defines the synthetic meta module
+    for the client.
+
+    @method _allocateMetas
+    @protected
+    @param {Object} meta the metas of the modules registered for the bundle
+    @param {String} moduleName the name of the meta module
+    @param {String} destinationPath the filename of the meta module
+    @return {Object} the metas for the `client` and the `server`
+    **/
+    _allocateMetas: function (meta, moduleName, destinationPath) {
+
+        var serverMeta = {},
+            clientMeta = {},
+            mod,
+            build,
+            affinity;
+
+        // allocating metas for client and server
+        for (mod in meta) {
+            if (meta.hasOwnProperty(mod)) {
+                for (build in meta[mod].builds) {
+                    if (meta[mod].builds.hasOwnProperty(build)) {
+                        affinity = meta[mod].builds[build].config && meta[mod].builds[build].config.affinity;
+                        if (affinity !== 'client') {
+                            // if not marked as client, it should be available on the server
+                            serverMeta[mod] = serverMeta[mod] || {
+                                name: meta[mod].name,
+                                buildfile: meta[mod].buildfile,
+                                builds: {}
+                            };
+                            serverMeta[mod].builds[build] = meta[mod].builds[build];
+                        }
+                        if (affinity !== 'server') {
+                            // if not marked as server, it should be available on the client
+                            clientMeta[mod] = clientMeta[mod] || {
+                                name: meta[mod].name,
+                                buildfile: meta[mod].buildfile,
+                                builds: {}
+                            };
+                            clientMeta[mod].builds[build] = meta[mod].builds[build];
+                        }
+                    }
+                }
+            }
+        }
+
+        // defining the synthetically created meta module for client, it is not needed on the server
+        clientMeta[moduleName] = clientMeta[moduleName] || {
+            name: moduleName,
+            buildfile: destinationPath,
+            builds: {}
+        };
+        clientMeta[moduleName].builds[moduleName] = {
+            name: moduleName,
+            config: {
+                affinity: 'client'
+            }
+        };
+
+        return {
+            client: clientMeta,
+            server: serverMeta
+        };
+
+    },
+
+    /**
+    Records the result of building a bundle. A failure will be reported thru
+    `getBuildErrors()` until the next successful build, while a successful
+    build will invalidate the computations based on the previous build.
+
+    @method _recordBuild
+    @protected
+    @param {String} bundleName the name of the bundle
+    @param {Error} err the shifter failure, if any
+    **/
+    _recordBuild: function (bundleName, err) {
+
+        this._buildErrors = this._buildErrors || {};
+        if (err) {
+            // recording the failure until the next successful build
+            this._buildErrors[bundleName] = {
+                bundle: bundleName,
+                file: err.file,
+                output: (err.errors || [err]).map(function (e) {
+                    return e.output || e.message;
+                }).join('\n'),
+                diagnostics: err.diagnostics || [],
+                time: new Date().toISOString()
+            };
+            return;
+        }
+        delete this._buildErrors[bundleName];
+        // combo validators and compressed assets should be computed again after a new build
+        this._comboValidators = null;
+        this._gzipCache = null;
+        this._integrityCache = {};
+        // refreshing the fingerprint of the group based on the new build
+        if (this._groupFingerprints && this._groupFingerprints[bundleName]) {
+            this.fingerprintGroup(bundleName);
+        }
+
+    },
+
     /**
     Analyze modified files and build.json files to infer the list of files that
     should be shifted.
@@ -0,0 +1,184 @@
+/*
+ * Copyright (c) 2013, Yahoo! Inc.  All rights reserved.
+ * Copyrights licensed under the New BSD License.
+ * See the accompanying LICENSE file for terms.
+ */
+
+/*jslint node:true, nomen: true */
+
+/**
+The `express-yui.manifest` extension provides a set of features
+to describe the groups built ahead of time for production.
+
+@module yui
+@submodule manifest
+**/
+
+'use strict';
+
+var libfs = require('fs'),
+    libpath = require('path'),
+    existsSync = libfs.existsSync || libpath.existsSync;
+
+/**
+The `express-yui.manifest` extension provides a set of features
+to describe the groups built ahead of time for production. The
+`express-yui build` command uses it to produce a json manifest
+after building every bundle in the app:
+
+    $ express-yui build --manifest build/yui-manifest.json
+
+@class manifest
+@static
+@uses *fs, *path, loader, origin, fingerprint, server
+@extensionfor yui
+*/
+module.exports = {
+
+    /**
+    Produces the manifest for every registered group, including the build
+    folder, the meta file and module, the metas of the modules for the client
+    and the server side, the modules added to `bundle.useServerModules` by
+    locator plugins, and the content hash of the group and its files.
+    Filesystem paths will be relative to `baseDir`.
+
+        var manifest = app.yui.getManifest(__dirname);
+
+    @method getManifest
+    @public
+    @param {String} baseDir filesystem path used to produce relative paths
+    @return {Object} the manifest in a form of `{ yui: version, defaultBundle: name, groups: {} }`
+    **/
+    getManifest: function (baseDir) {
+
+        var yui = this,
+            folders = this._groupFolderMap || {},
+            manifest = {
+                yui: this.version,
+                defaultBundle: this._defaultBundle,
+                groups: {}
+            };
+
+        baseDir = libpath.resolve(baseDir || process.cwd());
+
+        function relative(path) {
+            return path && libpath.relative(baseDir, libpath.resolve(path)).split(libpath.sep).join('/');
+        }
+
+        Object.keys(folders).sort().forEach(function (groupName) {
+            var files = yui._hashGroupFiles(folders[groupName]),
+                metaModule = (yui._groupMetaMap && yui._groupMetaMap[groupName]) || {},
+                moduleName = 'loader-' + groupName,
+                meta = yui._bundles && yui._bundles[groupName],
+                modules = (yui._groupModulesMap && yui._groupModulesMap[groupName]) || {},
+                useServerModules = yui._groupUseServerModulesMap && yui._groupUseServerModulesMap[groupName],
+                server;
+
+            if (meta) {
+                // computing the metas for the server side
+                server = new (yui.BuilderClass)({
+                    name: moduleName + '-server',
+                    group: groupName
+                });
+                server.compile(yui._allocateMetas(meta, moduleName, moduleName + '.js').server);
+            }
+
+            manifest.groups[groupName] = {
+                root: relative(folders[groupName]),
+                metaFile: relative(metaModule.file),
+                moduleName: metaModule.moduleName,
+                modules: Object.keys(modules).sort().reduce(function (sorted, name) {
+                    sorted[name] = modules[name];
+                    return sorted;
+                }, {}),
+                serverModules: server ? server.data.json : undefined,
+                useServerModules: useServerModules && useServerModules.length ? useServerModules : undefined,
+                hash: yui._hashGroup(files),
+                files: files
+            };
+        });
+
+        return manifest;
+
+    },
+
+    /**
+    Registers the groups described by a manifest produced by `express-yui build`,
+    and the modules for the server side, without analyzing the meta files or
+    the build folders. Modules that were added to `bundle.useServerModules` by
+    locator plugins will be attached thru `attachModules()`. An error will be thrown, before registering
+    any group, if any file described by the manifest is missing or if the manifest was built with a different
+    version of yui.
+
+        app.yui.loadManifest(__dirname + '/build/yui-manifest.json');
+
+    @method loadManifest
+    @public
+    @param {String} path filesystem path for the manifest
+    @chainable
+    **/
+    loadManifest: function (path) {
+
+        var yui = this,
+            baseDir = libpath.dirname(libpath.resolve(path)),
+            manifest = JSON.parse(libfs.readFileSync(path, 'utf8')),
+            groups = manifest.groups || {},
+            errors = [];
+
+        // modules and meta files were produced for a particular version of yui
+        if (manifest.yui && this.version && manifest.yui !== this.version) {
+            throw new Error('Invalid manifest [' + path + '], it was built with yui@' + manifest.yui +
+                ' but the app is using yui@' + this.version);
+        }
+
+        // validating every group before registering any of them to
+        // avoid leaving the app half configured
+        Object.keys(groups).forEach(function (groupName) {
+            var group = groups[groupName],
+                groupRoot = libpath.resolve(baseDir, group.root),
+                missing = [libpath.resolve(baseDir, group.metaFile)].concat(Object.keys(group.files || {}).map(function (file) {
+                    return libpath.join(groupRoot, file);
+                })).filter(function (file) {
+                    return !existsSync(file);
+                });
+
+            if (missing.length) {
+                errors.push('missing files for group [' + groupName + ']: ' + missing.join(', '));
+            }
+        });
+
+        if (errors.length) {
+            throw new Error('Invalid manifest [' + path + '], ' + errors.join('; '));
+        }
+
+        Object.keys(groups).forEach(function (groupName) {
+            var group = groups[groupName],
+                groupRoot = libpath.resolve(baseDir, group.root),
+                metaFile = libpath.resolve(baseDir, group.metaFile);
+
+            yui._registerGroupConfig({
+                groupName: groupName,
+                moduleName: group.moduleName,
+                modules: group.modules || {}
+            }, groupRoot, metaFile, group.files);
+
+            if (group.serverModules) {
+                yui.registerModules(groupName, group.serverModules);
+            }
+
+            // attaching the modules added to `bundle.useServerModules` by
+            // locator plugins during the build, e.g.: compiled templates
+            if (group.useServerModules) {
+                yui.attachModules(group.useServerModules);
+            }
+        });
+
+        if (manifest.defaultBundle) {
+            this._defaultBundle = manifest.defaultBundle;
+        }
+
+        return this;
+
+    }
+
+};
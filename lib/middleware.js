@@ -18,9 +18,189 @@ that could be used to boot `YUI` in the client runtime.
 'use strict';
 
 var utils = require('./utils'),
+    libfs = require('fs'),
     libpath = require('path'),
+    crypto = require('crypto'),
+    fresh = require('fresh'),
     combo = require('express-combo'),
-    client = require('./client');
+    client = require('./client'),
+    DEFAULT_CSP_POLICY = "script-src 'self' 'nonce-{{nonce}}'; style-src 'self' 'nonce-{{nonce}}'",
+    DEFAULT_RELOAD_PATH = '/yui-reload',
+    MAX_VALIDATOR_ENTRIES = 500;
+
+/**
+Gets the request layer for `req`, creating it as `req.yui` if needed.
+
+@method requestLayer
+@private
+@param {Object} req the express request object
+@return {Object} the request layer or `undefined` if the app was not extended
+**/
+function requestLayer(req) {
+    if (!req.yui && req.app && req.app.yui) {
+        req.yui = req.app.yui.createRequestLayer(req.res);
+    }
+    return req.yui;
+}
+
+/**
+Resolves the filesystem path of each part of a url based on the
+folder served for each url prefix.
+
+@method resolvePaths
+@private
+@param {Object} folders the filesystem path per url prefix
+@param {Array} parts the parts of the url, e.g.: `/foo-1.2.3/foo/foo-min.js`
+@return {Array} the filesystem path per part, or null if any part can not be resolved
+**/
+function resolvePaths(folders, parts) {
+
+    var paths = [];
+
+    parts.forEach(function (part) {
+        var match = part.match(/^\/([^\/]+)\/(.+)$/),
+            root = match && folders.hasOwnProperty(match[1]) && libpath.join(folders[match[1]], libpath.sep),
+            path = root && libpath.join(root, match[2]);
+        // paths outside of the group folder will be rejected by the static handlers
+        paths.push(path && path.indexOf(root) === 0 ? path : null);
+    });
+
+    return paths.indexOf(null) >= 0 ? null : paths;
+
+}
+
+/**
+Computes the validators for an asset by analyzing the size and the
+modification time of every file in the asset. Validators are cached
+in memory thru `yui._comboValidators` along with the stats used to
+compute them, so they are computed again if any file changes, and
+the cache will never hold more than `MAX_VALIDATOR_ENTRIES` urls.
+
+@method assetValidators
+@private
+@param {Object} yui the `app.yui` instance
+@param {String} url the url of the asset
+@param {Array} parts the parts of the url
+@param {Array} paths the filesystem path per part
+@param {Function} callback
+    @param {Object} callback.validators `etag`, `gzipEtag` and `lastModified`, or null if any file is missing
+**/
+function assetValidators(yui, url, parts, paths, callback) {
+
+    var cache = yui._comboValidators = yui._comboValidators || {},
+        stats = [],
+        pending = paths.length,
+        failed = false;
+
+    paths.forEach(function (path, i) {
+        libfs.stat(path, function (err, stat) {
+            var newest = 0,
+                signature,
+                hash;
+            failed = failed || !!err || !stat.isFile();
+            stats[i] = stat;
+            pending -= 1;
+            if (pending > 0) {
+                return;
+            }
+            if (failed) {
+                return callback(null);
+            }
+            signature = stats.map(function (fileStat, j) {
+                newest = Math.max(newest, fileStat.mtime.getTime());
+                return parts[j] + ':' + fileStat.size + ':' + fileStat.mtime.getTime();
+            }).join('\n');
+            if (cache.hasOwnProperty(url) && cache[url].signature === signature) {
+                return callback(cache[url]);
+            }
+            if (!cache.hasOwnProperty(url) && Object.keys(cache).length >= MAX_VALIDATOR_ENTRIES) {
+                // too many urls, starting over
+                cache = yui._comboValidators = {};
+            }
+            hash = crypto.createHash('md5').update(signature + '\n').digest('hex');
+            cache[url] = {
+                etag: '"' + hash + '"',
+                // the compressed representation is not byte-for-byte equal, and needs its own etag
+                gzipEtag: '"' + hash + '-gzip"',
+                lastModified: new Date(newest).toUTCString(),
+                signature: signature
+            };
+            callback(cache[url]);
+        });
+    });
+
+}
+
+/**
+Collects the information about the current state of `app.yui`.
+
+@method inspectReport
+@private
+@param {Object} yui the `app.yui` instance
+@return {Object} the report
+**/
+function inspectReport(yui) {
+
+    var config = yui.config(),
+        groups = config.groups || {},
+        folders = yui._groupFolderMap || {},
+        groupModules = yui._groupModulesMap || {},
+        bundles = yui._bundles || {},
+        report = {
+            version: yui.version,
+            path: yui.path,
+            config: config,
+            groups: {},
+            bundles: {},
+            seed: {},
+            server: {
+                attached: (yui._Y && yui._Y.Env && Object.keys(yui._Y.Env._attached || {})) || []
+            }
+        };
+
+    Object.keys(groups).forEach(function (groupName) {
+        var group = groups[groupName];
+        report.groups[groupName] = {
+            base: group.base,
+            root: group.root,
+            comboBase: group.comboBase,
+            comboSep: group.comboSep,
+            combine: group.combine,
+            filter: group.filter,
+            maxURLLength: group.maxURLLength,
+            folder: folders[groupName],
+            modules: Object.keys(groupModules[groupName] || {})
+        };
+    });
+
+    Object.keys(bundles).forEach(function (bundleName) {
+        report.bundles[bundleName] = [];
+        Object.keys(bundles[bundleName]).forEach(function (cacheKey) {
+            report.bundles[bundleName] = report.bundles[bundleName].concat(
+                Object.keys(bundles[bundleName][cacheKey].builds || {})
+            );
+        });
+    });
+
+    ['raw', 'min', 'debug'].forEach(function (filter) {
+        report.seed[filter] = yui.getSeedUrls({ filter: filter });
+    });
+
+    return report;
+
+}
+
+/**
+Escapes a string to be used in html.
+
+@method escapeHTML
+@private
+@param {String} str
+@return {String} the escaped string
+**/
+function escapeHTML(str) {
+    return String(str).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
 
 /**
 The `express-yui` exports few middleware that provide some basic
@@ -36,7 +216,7 @@ that could be used to boot `YUI` in the client runtime.
 
 @class middleware
 @static
-@uses utils, *path, *debug, *express-combo
+@uses utils, *fs, *path, *crypto, *fresh, *debug, *express-combo
 @extensionfor yui
 */
 module.exports = {
@@ -47,6 +227,8 @@ module.exports = {
     access `app.yui.*` on the client side just like you do on the server
     side. The client wrapper includes `app.yui.ready()` and `app.yui.use()`
     with the corresponding bootstraping code to inject YUI into the page.
+    In development, the last build failure of each bundle will be exposed
+    as well, and the client bootstrap will show them in an overlay.
     This middleware will be invoked by `expyui.expose()` middleware
     automatically, which means you do not need to call it directly.
 
@@ -56,21 +238,32 @@ module.exports = {
     **/
     exposeConfig: function () {
 
-        var configCache;
-
         return function (req, res, next) {
 
-            var yui_config = configCache;
+            // exposing the `YUI_config` thru the request layer, which
+            // will be serialized when the `state` gets rendered, honoring
+            // any per-request setting applied after this middleware.
+            var layer = requestLayer(req);
+
+            res.expose(layer, 'window.YUI_config');
+            // exposing `window.app.yui` removes any `window.app.yui.*` exposed
+            // before, so members of the client should be exposed after it
+            res.expose(client, 'window.app.yui');
+            layer._clientExposed = true;
 
-            // if app.yui exists, we can expose the configuration
-            if (!yui_config && req.app && req.app.yui) {
-                // one time operation to compute the initial configuration
-                yui_config = configCache = req.app.yui.config();
+            // subscribing to rebuilds thru `expyui.reload()` in development
+            if (layer._reloadUrl) {
+                res.expose(layer._reloadUrl, 'window.app.yui.reloadUrl');
             }
 
-            // exposing the `YUI_config`
-            res.expose(yui_config, 'window.YUI_config');
-            res.expose(client, 'window.app.yui');
+            // reporting build failures to be shown by the client bootstrap in development
+            if (utils.debugMode && req.app && req.app.yui && req.app.yui.getBuildErrors) {
+                res.expose({
+                    toJSON: function () {
+                        return req.app.yui.getBuildErrors();
+                    }
+                }, 'window.app.yui.buildErrors');
+            }
 
             next();
 
@@ -82,7 +275,8 @@ module.exports = {
     Expose the seed information into `res.locals.state`. This seed is
     an array of urls based on the call to `app.yui.seed()`, which is
     going to be used by the client bootstrap code to inject YUI into
-    the page.
+    the page. The urls are computed when the `state` gets rendered
+    to honor any per-request setting applied thru `req.yui`.
     This middleware will be invoked by `expyui.expose()` middleware
     automatically, which means you do not need to call it directly.
 
@@ -92,17 +286,15 @@ module.exports = {
     **/
     exposeSeed: function () {
 
-        var seedCache;
-
         return function (req, res, next) {
 
-            var yui_seed = seedCache;
-
-            if (!yui_seed && req.app && req.app.yui) {
-                yui_seed = seedCache = req.app.yui.getSeedUrls();
-            }
+            var yui = requestLayer(req);
 
-            res.expose(yui_seed, 'window.YUI_config.seed');
+            res.expose(yui && {
+                toJSON: function () {
+                    return yui.getSeedUrls();
+                }
+            }, 'window.YUI_config.seed');
 
             next();
 
@@ -113,6 +305,14 @@ module.exports = {
     /**
     Exposes YUI into the client side. This middleware bundles
     `expyui.exposeConfig()` and `expyui.exposeSeed()` middleware.
+    It also creates the request layer `req.yui`, which can be used by
+    any other middleware to overrule settings for the current request:
+
+        app.use(expyui.expose());
+        app.get('/foo', function (req, res, next) {
+            req.yui.applyConfig({ lang: 'es-ES' });
+            res.render('foo');
+        });
 
         // using it for a mounted middleware
         app.use(expyui.expose());
@@ -150,6 +350,338 @@ module.exports = {
 
     },
 
+    /**
+    Serves a report with the static configuration, the registered groups and
+    their modules, the seed urls computed for each filter, and the modules attached
+    on the server side. The report will be served as html, or as json if the
+    url ends with `.json` or it has `format=json` in the query. This middleware
+    is meant to be used in development only, when the app is not running in
+    debug mode, it will do nothing.
+
+        app.use('/yui-inspect', expyui.inspect());
+
+    @method inspect
+    @public
+    @return {function} express middleware
+    **/
+    inspect: function () {
+
+        return function (req, res, next) {
+
+            var yui = req.app && req.app.yui,
+                url = (req.url || '').split('?'),
+                report,
+                html;
+
+            if (!utils.debugMode || !yui || ('GET' !== req.method && 'HEAD' !== req.method)) {
+                return next();
+            }
+
+            report = inspectReport(yui);
+
+            if (/\.json$/.test(url[0]) || /(^|&)format=json(&|$)/.test(url[1] || '')) {
+                res.setHeader('Content-Type', 'application/json; charset=utf-8');
+                return res.end(JSON.stringify(report, null, 4));
+            }
+
+            html = ['<!doctype html><html><head><meta charset="utf-8"><title>express-yui</title></head><body>',
+                '<h1>yui@' + escapeHTML(report.version) + '</h1><p>' + escapeHTML(report.path) + '</p>'];
+            [['Static config', report.config], ['Groups', report.groups], ['Bundles', report.bundles],
+                ['Seed', report.seed], ['Server', report.server]].forEach(function (section) {
+                html.push('<h2>' + section[0] + '</h2><pre>' + escapeHTML(JSON.stringify(section[1], null, 4)) + '</pre>');
+            });
+            html.push('</body></html>');
+
+            res.setHeader('Content-Type', 'text/html; charset=utf-8');
+            res.end(html.join(''));
+
+        };
+
+    },
+
+    /**
+    Negotiates the language for the current request based on a query parameter,
+    a cookie or the `Accept-Language` header, in that order, and sets it as the
+    `lang` of the request layer `req.yui`, which means `window.YUI_config.lang`
+    will be exposed to the client loader. The language will be available in
+    templates as `lang`, and the view class produced by `app.yui.view()` will use
+    it to resolve language specific templates.
+
+        app.use(expyui.expose());
+        app.use(expyui.lang({ available: ['en-US', 'fr-FR', 'es'] }));
+
+    @method lang
+    @public
+    @param {Object} options the negotiation settings
+        @param {Array} options.available the list of supported languages
+        @param {String} options.defaultLang optional language to be used when no
+            match is found. Default to the first language in `available`.
+        @param {String} options.query optional name of the query parameter. Default to `lang`.
+        @param {String} options.cookie optional name of the cookie. Default to `lang`, it requires
+            `express.cookieParser()`.
+    @return {function} express middleware
+    **/
+    lang: function (options) {
+
+        options = options || {};
+
+        var available = options.available || [],
+            availableMap = {},
+            queryName = options.query || 'lang',
+            cookieName = options.cookie || 'lang',
+            defaultLang = options.defaultLang || available[0];
+
+        available.forEach(function (lang) {
+            availableMap[lang.toLowerCase()] = lang;
+        });
+
+        // lookup algorithm from RFC 4647, same as `Y.Intl.lookupBestLang()`
+        function lookup(lang) {
+            lang = String(lang).toLowerCase();
+            while (lang) {
+                if (availableMap.hasOwnProperty(lang)) {
+                    return availableMap[lang];
+                }
+                lang = lang.lastIndexOf('-') > 0 ? lang.slice(0, lang.lastIndexOf('-')) : null;
+            }
+        }
+
+        // parsing `Accept-Language` header, sorting languages by quality
+        function parseAcceptLanguage(header) {
+            return (header || '').split(',').map(function (part, index) {
+                var params = part.trim().split(';'),
+                    quality = 1;
+                params.slice(1).forEach(function (param) {
+                    param = param.trim();
+                    if (param.indexOf('q=') === 0) {
+                        quality = parseFloat(param.slice(2)) || 0;
+                    }
+                });
+                return { lang: params[0], quality: quality, index: index };
+            }).filter(function (entry) {
+                return entry.lang && entry.lang !== '*' && entry.quality > 0;
+            }).sort(function (a, b) {
+                return (b.quality - a.quality) || (a.index - b.index);
+            }).map(function (entry) {
+                return entry.lang;
+            });
+        }
+
+        return function (req, res, next) {
+
+            var yui = requestLayer(req),
+                candidates = [],
+                vary,
+                lang,
+                i;
+
+            if (req.query && req.query[queryName]) {
+                candidates.push(req.query[queryName]);
+            }
+            if (req.cookies && req.cookies[cookieName]) {
+                candidates.push(req.cookies[cookieName]);
+            }
+            candidates = candidates.concat(parseAcceptLanguage(req.headers && req.headers['accept-language']));
+
+            for (i = 0; i < candidates.length && !lang; i += 1) {
+                lang = lookup(candidates[i]);
+            }
+            lang = lang || defaultLang;
+
+            if (lang) {
+                res.locals.lang = lang;
+                if (yui) {
+                    yui.applyConfig({ lang: lang });
+                }
+            }
+
+            // the response will vary based on the negotiated language
+            vary = res.getHeader('Vary');
+            res.setHeader('Vary', vary ? vary + ', Accept-Language' : 'Accept-Language');
+
+            next();
+
+        };
+
+    },
+
+    /**
+    Adds `Link` headers to preload the seed of the current request, plus any
+    module declared by the route, so the browser can discover them before
+    the client bootstrap injects them. Urls are computed when the headers
+    are about to be sent to honor any per-request setting applied thru
+    `req.yui`, like the ones applied by `expyui.debug()`.
+
+        app.use(expyui.expose());
+        app.get('/foo', expyui.preload({ js: ['foo@app'], css: ['cssbase'] }), function (req, res) {
+            res.render('foo');
+        });
+
+    @method preload
+    @public
+    @param {Object} modules optional modules to be preloaded in addition to the seed
+        @param {Array} modules.js optional list of js modules, e.g.: `node` or `foo@app`
+        @param {Array} modules.css optional list of css modules
+    @return {function} express middleware
+    **/
+    preload: function (modules) {
+
+        modules = modules || {};
+
+        return function (req, res, next) {
+
+            var yui = requestLayer(req),
+                writeHead = res.writeHead;
+
+            function links(entries, as) {
+                return entries.map(function (entry) {
+                    return '<' + (entry.src || entry) + '>; rel=preload; as=' + as +
+                        (entry.crossorigin ? '; crossorigin=' + entry.crossorigin : '');
+                });
+            }
+
+            if (!yui) {
+                return next();
+            }
+
+            res.writeHead = function () {
+                var header = res.getHeader('Link'),
+                    values = links(yui.getSeedUrls().concat(modules.js ? yui.buildJSUrls.apply(yui, modules.js) : []), 'script')
+                        .concat(links(modules.css ? yui.buildCSSUrls.apply(yui, modules.css) : [], 'style'));
+
+                res.writeHead = writeHead;
+                values = [].concat(header || []).concat(values).filter(function (value, index, arr) {
+                    return arr.indexOf(value) === index;
+                });
+                if (values.length > 0) {
+                    res.setHeader('Link', values.join(', '));
+                }
+                return writeHead.apply(this, arguments);
+            };
+
+            next();
+
+        };
+
+    },
+
+    /**
+    Reloads the browser when the locator plugin rebuilds a bundle. Browsers will
+    connect to a server-sent events stream served by this middleware, and the url
+    of the stream will be exposed as `window.app.yui.reloadUrl` for `app.yui.use()`
+    to subscribe to it. If every modified file in the bundle is a stylesheet,
+    the stylesheets in the page will be swapped, otherwise the page will be reloaded.
+    This middleware is meant to be used in development only, when the app is not
+    running in debug mode, it will do nothing.
+
+        app.use(expyui.reload());
+        app.use(expyui.expose());
+
+    @method reload
+    @public
+    @param {Object} options optional reload settings
+        @param {String} options.path optional path for the server-sent events stream.
+            Default to `/yui-reload`.
+    @return {function} express middleware
+    **/
+    reload: function (options) {
+
+        options = options || {};
+
+        var path = options.path || DEFAULT_RELOAD_PATH;
+
+        return function (req, res, next) {
+
+            var yui = req.app && req.app.yui,
+                layer;
+
+            if (!utils.debugMode || !yui) {
+                return next();
+            }
+
+            if ((req.url || '').split('?')[0] !== path || 'GET' !== req.method) {
+                layer = requestLayer(req);
+                layer._reloadUrl = path;
+                // `exposeConfig()` will expose the url after `window.app.yui`,
+                // otherwise it will be removed by express-state, unless it was
+                // already exposed because this middleware runs after `expose()`
+                if (layer._clientExposed && res.expose) {
+                    res.expose(path, 'window.app.yui.reloadUrl');
+                }
+                return next();
+            }
+
+            res.writeHead(200, {
+                'Content-Type': 'text/event-stream',
+                'Cache-Control': 'no-cache',
+                'Connection': 'keep-alive'
+            });
+            res.write('retry: 1000\n\n');
+            yui._addReloadClient(req, res);
+
+        };
+
+    },
+
+    /**
+    Generates a nonce per request to support a strict `Content-Security-Policy`.
+    The nonce will be available in templates as `nonce`, and it will be stamped
+    on each script node injected by the client bootstrap and by loader thru
+    `jsAttributes` and `cssAttributes` settings of the request layer `req.yui`:
+
+        app.use(expyui.nonce({ policy: true }));
+        app.use(expyui.expose());
+
+    Then in your templates, you can use the nonce for the inline `state`:
+
+        <script nonce="{{nonce}}">{{{state}}}</script>
+
+    @method nonce
+    @public
+    @param {Object} options optional nonce settings
+        @param {Function} options.generate optional function to supply the nonce
+            for the current request, it will receive `req` and `res` as arguments.
+            By default, `res.locals.nonce` will be used if it exists, otherwise a
+            random nonce will be generated.
+        @param {Boolean|String} options.policy optional `Content-Security-Policy`
+            header to be set. If `true`, a policy allowing scripts and styles
+            with the nonce will be used. If a string, `{{nonce}}` token will be
+            replaced with the nonce.
+    @return {function} express middleware
+    **/
+    nonce: function (options) {
+
+        options = options || {};
+
+        var policy = options.policy === true ? DEFAULT_CSP_POLICY : options.policy;
+
+        return function (req, res, next) {
+
+            var yui = requestLayer(req),
+                nonce = (options.generate ? options.generate(req, res) : res.locals.nonce) ||
+                    crypto.randomBytes(16).toString('base64'),
+                config;
+
+            res.locals.nonce = nonce;
+
+            if (yui) {
+                config = yui.config();
+                yui.applyConfig({
+                    jsAttributes: utils.extend({}, config.jsAttributes, { nonce: nonce }),
+                    cssAttributes: utils.extend({}, config.cssAttributes, { nonce: nonce })
+                });
+            }
+
+            if (policy) {
+                res.setHeader('Content-Security-Policy', policy.replace(/\{\{nonce\}\}/g, nonce));
+            }
+
+            next();
+
+        };
+
+    },
+
     /**
     Forces a request to use yui in debug mode with combine disabled.
 
@@ -160,9 +692,8 @@ module.exports = {
             app.use(expyui.debug({filter: 'raw'}));
         }
 
-    Note: the `expyui.debug()` middleware only works if it is called
-    after the regular `expyui.expose()` middleware was called, otherwise
-    it will not be able to overrule the default yui config for the app.
+    The debug settings are applied thru the request layer `req.yui`, so
+    they will be honored by the seed and by every group as well.
 
     More details about the yui debug mode settings
     [in the YUI API Docs](http://yuilibrary.com/yui/docs/api/classes/config.html).
@@ -186,15 +717,13 @@ module.exports = {
             useBrowserConsole = config.hasOwnProperty('useBrowserConsole') ? config.useBrowserConsole : true;
 
         return function debug(req, res, next) {
-            res.expose(filter, 'window.YUI_config.filter');
-            res.expose(combine || false, 'window.YUI_config.combine');
-            res.expose(true, 'window.YUI_config.debug');
-            res.expose(logLevel, 'window.YUI_config.logLevel');
-            res.expose(useBrowserConsole, 'window.YUI_config.useBrowserConsole');
-            res.expose(req.app.yui.getSeedUrls({
-                 filter: filter,
-                 combine: combine
-            }), 'window.YUI_config.seed');
+            requestLayer(req).applyConfig({
+                filter: filter,
+                combine: combine,
+                debug: true,
+                logLevel: logLevel,
+                useBrowserConsole: useBrowserConsole
+            });
             next();
         };
 
@@ -202,13 +731,27 @@ module.exports = {
 
     /**
     Serves YUI Modules as static assets. All registered groups and core will be
-    served from app origin.
+    served from app origin. If `yui fingerprint` is set thru `app.set()`,
+    fingerprinted urls will be resolved into the group folder, and served
+    with far-future immutable cache headers. Combo responses will carry
+    strong `ETag` and `Last-Modified` validators computed from the size
+    and modification time of every file in the combo, and conditional
+    requests will be answered with `304` when nothing has changed.
 
         app.use(expyui.static());
 
+    If `gzip` option is set, modules and combos will be served compressed
+    for clients accepting `gzip` encoding, using the `.gz` files built by
+    the locator plugin, or compressing frequently requested assets in memory.
+
+        app.use(expyui.static({ gzip: true }));
+
     @method static
     @public
     @param {Object} options express static handler options
+        @param {Boolean} options.gzip Optional serve compressed assets. Default to false.
+        @param {Number} options.gzipThreshold Optional number of requests before compressing
+            an asset without `.gz` version in memory. Default to 2.
     @return {Function} express middleware
     **/
     'static': function (options) {
@@ -222,24 +765,128 @@ module.exports = {
             options.maxAge = 0;
         }
 
-        function composeStaticHandlers(yui, comboConfig) {
+        function composeStaticHandlers(yui, comboConfig, fingerprint) {
             var config = yui.config(),
                 groups = config.groups || {},
                 group,
+                folders = {},
+                combineHandler,
                 handlers = [];
 
+            comboConfig = comboConfig || utils.DEFAULT_COMBO_CONFIG;
+
+            // conditional GET support for combo urls, answering with 304 without
+            // reading the files when the validators match, and serving compressed
+            // assets when `gzip` option is set.
+            function serveAsset(req, res, next, fallback) {
+                var url = req.url.split('?')[0],
+                    isCombo = url.indexOf(comboConfig.comboBase) === 0,
+                    parts = isCombo ? url.slice(comboConfig.comboBase.length).split(comboConfig.comboSep) : [url],
+                    paths = resolvePaths(folders, parts),
+                    vary;
+
+                if (!paths) {
+                    return fallback(req, res, next);
+                }
+                if (options.gzip) {
+                    // the response will vary based on the negotiated encoding
+                    vary = res.getHeader('Vary');
+                    if (!/\baccept-encoding\b/i.test(vary || '')) {
+                        res.setHeader('Vary', vary ? vary + ', Accept-Encoding' : 'Accept-Encoding');
+                    }
+                }
+                assetValidators(yui, url, parts, paths, function (validators) {
+                    var etag = validators && validators.etag;
+                    if (!validators) {
+                        return fallback(req, res, next);
+                    }
+                    // clients holding the compressed representation will revalidate with its own etag
+                    if (options.gzip && req.headers['if-none-match'] && fresh(req.headers, {
+                            'etag': validators.gzipEtag,
+                            'last-modified': validators.lastModified
+                        })) {
+                        etag = validators.gzipEtag;
+                    }
+                    res.setHeader('ETag', etag);
+                    res.setHeader('Last-Modified', validators.lastModified);
+                    if (fresh(req.headers, {
+                            'etag': etag,
+                            'last-modified': validators.lastModified
+                        })) {
+                        res.statusCode = 304;
+                        return res.end();
+                    }
+                    if (!options.gzip || !/\bgzip\b/.test(req.headers['accept-encoding'] || '') ||
+                            paths.some(function (path) {
+                                return libpath.extname(path) !== libpath.extname(paths[0]);
+                            })) {
+                        return fallback(req, res, next);
+                    }
+                    yui._getGzipAsset(url, paths, options.gzipThreshold || 2, function (err, data) {
+                        if (err || !data) {
+                            return fallback(req, res, next);
+                        }
+                        res.setHeader('Content-Type', combo.getContentType(url));
+                        res.setHeader('Content-Encoding', 'gzip');
+                        res.setHeader('ETag', validators.gzipEtag);
+                        res.setHeader('Content-Length', data.length);
+                        if (!res.getHeader('Cache-Control')) {
+                            res.setHeader('Cache-Control', 'public, max-age=' + Math.floor((options.maxAge || 0) / 1000));
+                        }
+                        res.end('HEAD' === req.method ? undefined : data);
+                    });
+                });
+            }
+
+            // resolving fingerprinted urls into the real folder of each group
+            if (fingerprint) {
+                handlers.push(function (req, res, next) {
+                    var resolved = yui._resolveFingerprintedUrl(req.url, comboConfig);
+                    req.url = resolved.url;
+                    if (resolved.immutable) {
+                        res.setHeader('Cache-Control', yui.FINGERPRINT_CACHE_CONTROL);
+                    }
+                    next();
+                });
+            }
+
+            // compressed modules should be served before reaching the folder handlers
+            if (options.gzip) {
+                handlers.push(function (req, res, next) {
+                    if (req.url.indexOf(comboConfig.comboBase) === 0 ||
+                            ('GET' !== req.method && 'HEAD' !== req.method)) {
+                        return next();
+                    }
+                    serveAsset(req, res, next, function () {
+                        next();
+                    });
+                });
+            }
+
             // first, yui core
             handlers.push(combo.folder('yui-' + yui.version, yui.path, options));
+            folders['yui-' + yui.version] = yui.path;
 
             // second, each group might be marked as local, and should be included
             for (group in groups) {
                 if (groups.hasOwnProperty(group) && yui._groupFolderMap && yui._groupFolderMap[group]) {
                     handlers.push(combo.folder(libpath.basename(yui._groupFolderMap[group]), yui._groupFolderMap[group], utils.extend({}, options)));
+                    folders[libpath.basename(yui._groupFolderMap[group])] = yui._groupFolderMap[group];
                 }
             }
 
             // enabling combo handler using the custom setting when posible.
-            handlers.push(combo.combine(utils.extend({}, options, comboConfig || utils.DEFAULT_COMBO_CONFIG)));
+            combineHandler = combo.combine(utils.extend({}, options, comboConfig));
+
+            handlers.push(function (req, res, next) {
+                if (!req.url || req.url.indexOf(comboConfig.comboBase) !== 0 ||
+                        ('GET' !== req.method && 'HEAD' !== req.method)) {
+                    return combineHandler(req, res, next);
+                }
+                // query strings (e.g.: cache busters) are not part of the last combo member
+                req.url = req.url.split('?')[0];
+                serveAsset(req, res, next, combineHandler);
+            });
 
             return handlers;
         }
@@ -263,7 +910,8 @@ module.exports = {
             }
 
             if (!handlers && req.app && req.app.yui) {
-                handlers = staticCache = composeStaticHandlers(req.app.yui, req.app.set('yui combo config'));
+                handlers = staticCache = composeStaticHandlers(req.app.yui, req.app.set('yui combo config'),
+                    req.app.set('yui fingerprint'));
             }
 
             run(0);
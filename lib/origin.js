@@ -121,7 +121,9 @@ module.exports = {
     Register a group and its modules by analyzing the meta file and defining the
     group configuration for the loader. Groups can be served from origin app or
     from CDN by calling `applyGroupConfig` or by setting `yui default base`,
-    `yui default root` and `yui combo config` thru `app.set()`.
+    `yui default root` and `yui combo config` thru `app.set()`. If
+    `yui fingerprint` is set thru `app.set()`, the group will be
+    fingerprinted as well.
 
     Here is an example on how to use it, assuming that the YUI metadata are
     located in the `build` directory under the app root.
@@ -139,13 +141,7 @@ module.exports = {
     **/
     registerGroup: function (groupName, groupRoot, metaFile) {
 
-        var groupDefaultBase = this._app.set('yui default base') || "/{{groupDir}}/",
-            groupDefaultRoot = this._app.set('yui default root') || "/{{groupDir}}/",
-            comboConfig = this._app.set('yui combo config') || utils.DEFAULT_COMBO_CONFIG,
-            group,
-            groupConfig,
-            config,
-            groupDir = libpath.basename(groupRoot);
+        var group;
 
         metaFile = metaFile || libpath.join(groupRoot, groupName, groupName + '.js');
 
@@ -162,6 +158,38 @@ module.exports = {
                 "] and the group registered in [" + metaFile + "].");
         }
 
+        return this._registerGroupConfig(group, groupRoot, metaFile);
+
+    },
+
+    /**
+    Defines the group configuration for the loader based on the group information
+    collected from the meta file by `registerGroup()`, or from a manifest by
+    `loadManifest()`.
+
+    @method _registerGroupConfig
+    @protected
+    @param {Object} group the group information
+        @param {String} group.groupName the name of the group used by loader.
+        @param {String} group.moduleName the name of the meta module.
+        @param {Object} group.modules the metas of the modules in the group.
+    @param {String} groupRoot filesystem path for the group.
+    @param {String} metaFile filesystem path for the yui module that holds
+    the metas for the group.
+    @param {Object} files optional hash of each file in the group, used to
+    fingerprint the group without reading the files.
+    @chainable
+    **/
+    _registerGroupConfig: function (group, groupRoot, metaFile, files) {
+
+        var groupName = group.groupName,
+            groupDefaultBase = this._app.set('yui default base') || "/{{groupDir}}/",
+            groupDefaultRoot = this._app.set('yui default root') || "/{{groupDir}}/",
+            comboConfig = this._app.set('yui combo config') || utils.DEFAULT_COMBO_CONFIG,
+            groupConfig,
+            config,
+            groupDir = libpath.basename(groupRoot);
+
         config = this.config();
         config.groups = config.groups || {};
 
@@ -184,6 +212,23 @@ module.exports = {
         this._groupFolderMap = this._groupFolderMap || {};
         this._groupFolderMap[groupName] = groupRoot;
 
+        // storing the modules meta in case we need to
+        // resolve dependencies on the server side
+        this._groupModulesMap = this._groupModulesMap || {};
+        this._groupModulesMap[groupName] = group.modules;
+
+        // storing the meta module in case we need to produce a manifest
+        this._groupMetaMap = this._groupMetaMap || {};
+        this._groupMetaMap[groupName] = {
+            file: metaFile,
+            moduleName: group.moduleName
+        };
+
+        // producing content based urls for the group if needed
+        if (this._app.set('yui fingerprint')) {
+            this.fingerprintGroup(groupName, files);
+        }
+
         // add the meta module into the core structure
         // to make sure it gets attached to Y upfront
         this.addModuleToSeed(group.moduleName, groupName);
@@ -0,0 +1,103 @@
+/*
+ * Copyright (c) 2013, Yahoo! Inc.  All rights reserved.
+ * Copyrights licensed under the New BSD License.
+ * See the accompanying LICENSE file for terms.
+ */
+
+/*jslint node:true, nomen: true */
+
+/**
+The `express-yui.reload` extension provides a set of features
+to reload the browser when the locator plugin rebuilds a bundle.
+
+@module yui
+@submodule reload
+**/
+
+'use strict';
+
+var libpath = require('path'),
+    debug = require('debug')('express:yui:reload');
+
+/**
+The `express-yui.reload` extension provides a set of features
+to reload the browser when the locator plugin rebuilds a bundle.
+Browsers will be connected thru `expyui.reload()` middleware, and
+they will be notified by the locator plugin after every successful
+build:
+
+    app.use(expyui.reload());
+
+If every modified file in the bundle is a stylesheet, the browser will
+swap the stylesheets in the page, otherwise the page will be reloaded.
+
+@class reload
+@static
+@uses *path, *debug
+@extensionfor yui
+*/
+module.exports = {
+
+    /**
+    Adds a server-sent events stream to the list of connected
+    browsers. The stream will be removed from the list once
+    the connection gets closed.
+
+    @method _addReloadClient
+    @protected
+    @param {Object} req the server-sent events request
+    @param {Object} res the server-sent events response
+    **/
+    _addReloadClient: function (req, res) {
+
+        var clients = this._reloadClients = this._reloadClients || [];
+
+        clients.push(res);
+        debug('Browser connected, %d listening for reloads', clients.length);
+
+        req.on('close', function () {
+            var i = clients.indexOf(res);
+            if (i >= 0) {
+                clients.splice(i, 1);
+            }
+        });
+
+    },
+
+    /**
+    Notifies every connected browser that a bundle was rebuilt. This method
+    is called by the locator plugin after every successful build, but it
+    could be also used to force a reload:
+
+        app.yui.notifyReload('foo', ['/path/to/foo/assets/foo.css']);
+
+    @method notifyReload
+    @public
+    @param {String} bundleName the name of the bundle that was rebuilt.
+    @param {Array} files Optional filesystem path for the modified files in the bundle.
+    If every file is a stylesheet, the browser will swap the stylesheets instead of
+    reloading the page.
+    @return {Object} the message sent to the browsers with `bundle`, `type` and `time`
+    **/
+    notifyReload: function (bundleName, files) {
+
+        var clients = this._reloadClients || [],
+            message = {
+                bundle: bundleName,
+                type: (files && files.length && files.every(function (file) {
+                    return libpath.extname(file) === '.css';
+                })) ? 'css' : 'js',
+                time: Date.now()
+            },
+            data = 'event: reload\ndata: ' + JSON.stringify(message) + '\n\n';
+
+        debug('Notifying %d browsers about changes in bundle [%s]', clients.length, bundleName);
+        clients.forEach(function (res) {
+            res.write(data);
+        });
+
+        return message;
+
+    }
+
+};
@@ -0,0 +1,187 @@
+/*
+ * Copyright (c) 2013, Yahoo! Inc.  All rights reserved.
+ * Copyrights licensed under the New BSD License.
+ * See the accompanying LICENSE file for terms.
+ */
+
+/*jslint node:true, nomen: true */
+
+/**
+The `express-yui.request` extension provides a request-scoped layer on top
+of the static yui configuration that could be used to overrule loader
+settings per request.
+
+@module yui
+@submodule request
+**/
+
+'use strict';
+
+var utils = require('./utils');
+
+/**
+Mix the `supplier` object into the `receiver` object. Unlike `utils.extend`,
+the `groups` member is merged per group instead of being replaced.
+
+@method mergeConfig
+@private
+@param {Object} receiver the config object to be extended
+@param {Object} supplier the config object with the new settings
+@return {Object} the extended receiver
+**/
+function mergeConfig(receiver, supplier) {
+    var key,
+        groupName;
+
+    for (key in supplier) {
+        if (supplier.hasOwnProperty(key)) {
+            if (key === 'groups' && supplier.groups) {
+                receiver.groups = receiver.groups || {};
+                for (groupName in supplier.groups) {
+                    if (supplier.groups.hasOwnProperty(groupName)) {
+                        receiver.groups[groupName] = utils.extend(receiver.groups[groupName] || {},
+                            supplier.groups[groupName]);
+                    }
+                }
+            } else {
+                receiver[key] = supplier[key];
+            }
+        }
+    }
+
+    return receiver;
+}
+
+/**
+The `express-yui.request` extension provides a request-scoped layer on top
+of the static yui configuration. The layer inherits every method from
+`app.yui`, but any setting applied thru it will only affect the current
+request. `expyui.expose()` will create the layer as `req.yui`, and will
+serialize the merged configuration when the `state` is rendered, which
+means route middleware can overrule `lang`, `filter`, `combine` or
+any group setting after `expose()` was called:
+
+    app.use(expyui.expose());
+
+    app.get('/foo', function (req, res, next) {
+        req.yui.applyConfig({ lang: 'fr-FR' });
+        req.yui.applyGroupConfig('app', { combine: false });
+        res.render('foo');
+    });
+
+@class request
+@static
+@uses utils
+@extensionfor yui
+*/
+module.exports = {
+
+    /**
+    Creates a request-scoped layer that inherits the static configuration
+    and methods from `app.yui`. Calling `config()`, `applyConfig()` or
+    `applyGroupConfig()` on the layer will never modify the static
+    configuration. Top level `filter` and `combine` settings applied thru
+    the layer are also propagated to every group, unless the group
+    defines its own value thru the layer as well.
+
+        var layer = app.yui.createRequestLayer();
+        layer.applyConfig({ filter: 'debug', combine: false });
+        layer.getSeedUrls(); // debug urls without combo
+
+    If `res` is provided, the Y instance for the request, if any, will be released
+    once the response finishes. Check `app.yui.use()` for more details.
+
+    @method createRequestLayer
+    @public
+    @param {Object} res optional express response object
+    @return {Object} the request layer
+    **/
+    createRequestLayer: function (res) {
+
+        var yui = this,
+            layer = Object.create(yui),
+            overrides = {},
+            // merged configuration for the current request, computed on demand
+            merged;
+
+        layer._res = res;
+
+        /**
+        Extends the request settings with the supplier object(s) and
+        returns the static configuration merged with the request settings.
+        The merged configuration is computed once per layer, and it is the
+        same reference on every call, which means methods inherited from
+        `app.yui` that modify the configuration, like `seed()` or
+        `addModuleToSeed()`, will affect the current request only.
+
+        @method config
+        @param {Object*} supplier Optional supplier objects.
+        @return {Object} the merged configuration for the current request
+        **/
+        layer.config = function () {
+
+            var args = Array.prototype.slice.call(arguments),
+                config = merged,
+                groupName,
+                groupOverrides;
+
+            args.forEach(function (supplier) {
+                if (supplier) {
+                    mergeConfig(overrides, supplier);
+                    if (config) {
+                        mergeConfig(config, utils.clone(supplier));
+                    }
+                }
+            });
+
+            config = merged = config || mergeConfig(utils.clone(yui.config()), utils.clone(overrides));
+
+            // top level `filter` and `combine` should be honored by
+            // each group since groups inherit them during registration.
+            for (groupName in config.groups) {
+                if (config.groups.hasOwnProperty(groupName)) {
+                    groupOverrides = (overrides.groups && overrides.groups[groupName]) || {};
+                    if (overrides.hasOwnProperty('filter') && !groupOverrides.hasOwnProperty('filter')) {
+                        config.groups[groupName].filter = overrides.filter;
+                    }
+                    if (overrides.hasOwnProperty('combine') && !groupOverrides.hasOwnProperty('combine')) {
+                        config.groups[groupName].combine = overrides.combine;
+                    }
+                }
+            }
+
+            return config;
+
+        };
+
+        /**
+        Set a custom loader configuration for the group for the current request.
+
+        @method applyGroupConfig
+        @param {String} groupName the name of the group used by loader.
+        @param {Object} loaderConfig custom loader configuration for the group.
+        @chainable
+        **/
+        layer.applyGroupConfig = function (groupName, loaderConfig) {
+            var groups = {};
+            groups[groupName] = loaderConfig || {};
+            this.config({ groups: groups });
+            return this;
+        };
+
+        /**
+        Produces the merged configuration when the layer is serialized
+        thru `res.expose()`.
+
+        @method toJSON
+        @return {Object} the merged configuration for the current request
+        **/
+        layer.toJSON = function () {
+            return this.config();
+        };
+
+        return layer;
+
+    }
+
+};
@@ -18,7 +18,11 @@ calling `YUI().use()` in the client runtime.
 
 'use strict';
 
-var debug = require('debug')('express:yui:seed');
+var libfs = require('fs'),
+    libpath = require('path'),
+    crypto = require('crypto'),
+    utils = require('./utils'),
+    debug = require('debug')('express:yui:seed');
 
 /**
 The `express-yui.seed` middleware extension that provides a set of features
@@ -53,9 +57,16 @@ using handlebars templates:
     <script src="{{{src}}}"></script>
     {{/yui_seed}}
 
+If `yui integrity` is set thru `app.set()`, `getSeedUrls()`, `buildJSUrls()`
+and `buildCSSUrls()` will produce objects in a form of `{src, integrity, crossorigin}`
+instead of urls, where `integrity` is the Subresource Integrity hash computed
+from the local yui package and the group build folders:
+
+    app.set('yui integrity', 'sha384');
+
 @class seed
 @static
-@uses debug*
+@uses *fs, *path, *crypto, utils, debug*
 @extensionfor yui
 */
 module.exports = {
@@ -92,6 +103,15 @@ module.exports = {
     **/
     DEFAULT_FILTER: '-min',
 
+    /**
+    The default algorithm used to compute Subresource Integrity hashes
+    when `yui integrity` is set to `true`.
+
+    @property DEFAULT_INTEGRITY_ALGORITHM
+    @type {String}
+    **/
+    DEFAULT_INTEGRITY_ALGORITHM: 'sha384',
+
     /**
     Gets the default list of module names that should
     be part of the seed files.
@@ -181,6 +201,7 @@ module.exports = {
         @param {boolean} customConfig.combine optional flag to overrule combine,
                          when set to `false`, it will avoid creating combo urls.
     @return {Array} the `src` url for each script tag that forms the seed
+                    or an object with `src`, `integrity` and `crossorigin` if `yui integrity` is set.
     **/
     getSeedUrls: function (customConfig) {
         var config = this.config(),
@@ -204,6 +225,7 @@ module.exports = {
     @public
     @param {string} modules* One or more module name (and optional @<group-name>)
     @return {Array} the `src` url for each script tag that forms the seed
+                    or an object with `src`, `integrity` and `crossorigin` if `yui integrity` is set.
     **/
     buildJSUrls: function () {
         return this._buildUrls(arguments, 'js', this.JS_FILTERS_MAP);
@@ -225,11 +247,85 @@ module.exports = {
     @public
     @param {string} modules* One or more module name (and optional @<group-name>)
     @return {Array} the `href` url for each link tag to be inserted in the header of the page
+                    or an object with `src`, `integrity` and `crossorigin` if `yui integrity` is set.
     **/
     buildCSSUrls: function () {
         return this._buildUrls(arguments, 'css', this.CSS_FILTERS_MAP);
     },
 
+    /**
+    Resolves a list of modules, plus all their dependencies, into the list of
+    urls needed to load them by running YUI Loader on the server side against
+    the metadata of the registered groups. This is useful to ship every module
+    needed by a page in the first request instead of waiting for the loader
+    on the client side to compute the dependencies.
+
+        var urls = app.yui.resolveUrls(['app-home', 'node'], {
+            filter: 'debug',
+            combine: false
+        });
+
+    As a result, `urls.js` and `urls.css` will be ordered and deduplicated
+    arrays of urls that you can use in your templates. Conditional modules
+    will not be resolved, the client loader will take care of them based on
+    the features of the browser.
+
+    @method resolveUrls
+    @public
+    @param {Array} modules list of module names to be resolved
+    @param {Object} customConfig optional loader configuration to overrule per call,
+                    e.g.: `ignore` or `lang`.
+        @param {string} customConfig.filter optional filter to overrule any filter
+        @param {boolean} customConfig.combine optional flag to overrule combine,
+                         when set to `false`, it will avoid creating combo urls.
+    @return {Object} the urls in a form of `{ js: [], css: [] }`
+    **/
+    resolveUrls: function (modules, customConfig) {
+        var yui = (this._app && this._app.yui) || this,
+            config = utils.clone(this.config()),
+            groupModules = this._groupModulesMap || {},
+            groupName,
+            group,
+            loader,
+            resolved;
+
+        customConfig = customConfig || {};
+        config.groups = config.groups || {};
+
+        for (groupName in config.groups) {
+            if (config.groups.hasOwnProperty(groupName)) {
+                group = config.groups[groupName];
+                // loader will mutate the modules meta, so we better clone them
+                group.modules = utils.clone(groupModules[groupName] || {});
+                if (customConfig.hasOwnProperty('filter')) {
+                    group.filter = customConfig.filter;
+                }
+                if (customConfig.hasOwnProperty('combine')) {
+                    group.combine = customConfig.combine;
+                }
+            }
+        }
+
+        // `tests` set to an empty object forces loader to skip
+        // conditional modules since we are not running in a browser,
+        // and it is cached by `app.yui` rather than by the request layer
+        yui._loaderY = yui._loaderY || this.YUI({ useSync: true, tests: {} }).use('loader');
+
+        loader = new yui._loaderY.Loader(utils.extend(config, customConfig, {
+            require: [].concat(modules || []),
+            ignoreRegistered: true
+        }));
+        resolved = loader.resolve(true);
+
+        debug('Resolving [%s] into %d js and %d css urls', [].concat(modules || []).join(', '),
+            resolved.js.length, resolved.css.length);
+
+        return {
+            js: resolved.js,
+            css: resolved.css
+        };
+    },
+
     /**
     Build a list of urls for a list of modules. Modules are described as `<module-name>@<group-name>`.
     Modules without the group denotation will be assumed as core modules from yui. `ext` denotates
@@ -246,15 +342,25 @@ module.exports = {
         @param {string} customConfig.filter optional filter to overrule any filter
         @param {boolean} customConfig.combine optional flag to overrule combine,
                          when set to `false`, it will avoid creating combo urls.
-    @return {Array} the `href` url for each link tag to be inserted in the header of the page
+    @return {Array} the `href` url for each link tag to be inserted in the header of the page.
+                    Combo urls will be split based on the `maxURLLength` of each group, or
+                    the one from core. If `yui integrity` is set, each url will be described
+                    as an object with `src`, `integrity` and `crossorigin`.
     **/
     _buildUrls: function (modules, ext, filterMap, customConfig) {
         // getting static config
         var config = this.config(),
+            integrity = this._app && this._app.set('yui integrity'),
             urls = [],
+            files = [],
             groups = config.groups || {},
+            groupFolders = this._groupFolderMap || {},
             prevGroup,
             stack = [],
+            stackFiles = [],
+            file,
+            stackMaxURLLength,
+            maxURLLength,
             groupName,
             groupConfig,
             path,
@@ -266,8 +372,18 @@ module.exports = {
         function flush() {
             if (stack.length > 0) {
                 urls.push(prevGroup.comboBase + stack.join(prevGroup.comboSep));
+                files.push(stackFiles);
             }
             stack = [];
+            stackFiles = [];
+        }
+
+        function getMaxURLLength(group) {
+            return group.maxURLLength || config.maxURLLength || utils.DEFAULT_COMBO_CONFIG.maxURLLength;
+        }
+
+        function exceeds(newGroup, newPath, limit) {
+            return (newGroup.comboBase + stack.concat(newPath).join(newGroup.comboSep)).length > limit;
         }
 
         function isSimilarGroup(newGroup) {
@@ -300,15 +416,32 @@ module.exports = {
             // just build the url as loader will do at the client side.
             path = moduleName + '/' + moduleName + filter + '.' + ext;
 
+            // local file used to compute the integrity of the url
+            file = groupName === 'yui' ? this.path : groupFolders[groupName];
+            file = file && libpath.join(file, path);
+
             if (groupConfig) {
 
                 if (customConfig.combine === false || !isSimilarGroup(groupConfig)) {
                     flush(groupConfig);
                 }
                 if (customConfig.combine !== false && groupConfig.combine) {
+                    // a combo url could have modules from similar groups, in
+                    // which case the most restrictive limit should be honored
+                    maxURLLength = getMaxURLLength(groupConfig);
+                    if (stack.length > 0) {
+                        maxURLLength = Math.min(stackMaxURLLength, maxURLLength);
+                        if (exceeds(groupConfig, groupConfig.root + path, maxURLLength)) {
+                            flush();
+                            maxURLLength = getMaxURLLength(groupConfig);
+                        }
+                    }
                     stack.push(groupConfig.root + path);
+                    stackFiles.push(file);
+                    stackMaxURLLength = maxURLLength;
                 } else {
                     urls.push(groupConfig.base + path);
+                    files.push([file]);
                 }
                 prevGroup = groupConfig;
 
@@ -324,7 +457,61 @@ module.exports = {
         // flushing any remaining piece in stack
         flush();
 
+        if (integrity) {
+            return urls.map(function (url, index) {
+                return this._buildIntegrityEntry(url, files[index],
+                    integrity === true ? this.DEFAULT_INTEGRITY_ALGORITHM : integrity);
+            }, this);
+        }
+
         return urls;
+    },
+
+    /**
+    Computes the Subresource Integrity hash for a url based on the content
+    of the local files that compose it, in the same order the combo handler
+    will concatenate them. Hashes are cached until the next build.
+
+    @method _buildIntegrityEntry
+    @protected
+    @param {String} url the url of the script or link tag
+    @param {Array} files the filesystem path of each file in the url
+    @param {String} algorithm the hash algorithm, e.g.: `sha384`
+    @return {Object} the entry in a form of `{src, integrity, crossorigin}`, where
+        `integrity` and `crossorigin` will be missing if any file can not be read.
+    **/
+    _buildIntegrityEntry: function (url, files, algorithm) {
+        var cache,
+            hash;
+
+        if (!this._integrityCache) {
+            this._integrityCache = {};
+        }
+        cache = this._integrityCache;
+
+        if (!cache.hasOwnProperty(algorithm + url)) {
+            hash = crypto.createHash(algorithm);
+            try {
+                files.forEach(function (file) {
+                    if (!file) {
+                        throw new Error('Missing local file');
+                    }
+                    hash.update(libfs.readFileSync(file));
+                });
+                cache[algorithm + url] = algorithm + '-' + hash.digest('base64');
+            } catch (e) {
+                debug('Unable to compute the integrity for [%s]: %s', url, e.message);
+                cache[algorithm + url] = null;
+            }
+        }
+
+        return cache[algorithm + url] ? {
+            src: url,
+            integrity: cache[algorithm + url],
+            crossorigin: 'anonymous'
+        } : {
+            src: url
+        };
     }
 
 };
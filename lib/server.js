@@ -19,12 +19,170 @@ to control a YUI instance on the server side.
 var libpath = require('path'),
     utils = require('./utils'),
     debug = require('debug')('express:yui:server'),
-    groupsQueue = {},
-    modulesQueue = [];
+    DEFAULT_POOL_SIZE = 10;
+
+/**
+Gets a setting from the express app, if any.
+
+@method getSetting
+@private
+@param {Object} yui the `app.yui` object
+@param {String} name the name of the setting
+@return {Any} the value of the setting, or undefined
+**/
+function getSetting(yui, name) {
+    return (yui._app && typeof yui._app.set === 'function') ? yui._app.set(name) : undefined;
+}
+
+/**
+Collects the metas of every module known by the server side, from loader and
+from the groups registered thru `registerModules()`, including the ones that
+were not applied yet.
+
+@method collectMetas
+@private
+@param {Object} yui the `app.yui` object
+@param {Object} Y optional Y instance
+@return {Object} the metas per module name
+**/
+function collectMetas(yui, Y) {
+    var loader = Y && Y.Env && Y.Env._loader,
+        metas = utils.extend({}, loader && loader.moduleInfo);
+
+    [yui._serverGroups, yui._groupsQueue].forEach(function (groups) {
+        Object.keys(groups || {}).forEach(function (groupName) {
+            utils.extend(metas, groups[groupName].modules);
+        });
+    });
+
+    return metas;
+}
+
+/**
+Computes the list of modules affected by a change in `names`, which includes
+`names` and every module requiring them, directly or thru other modules.
+
+@method affectedModules
+@private
+@param {Object} metas the metas per module name
+@param {Array} names the name of the modules that changed
+@return {Array} the name of the affected modules
+**/
+function affectedModules(metas, names) {
+    var affected = names.slice(),
+        found = true;
+
+    function isAffected(name) {
+        return affected.indexOf(name) >= 0;
+    }
+
+    function check(name) {
+        var meta = metas[name] || {};
+        if (!isAffected(name) && [].concat(meta.requires || [], meta.use || []).some(isAffected)) {
+            affected.push(name);
+            found = true;
+        }
+    }
+
+    // repeating until no more dependents are found
+    while (found) {
+        found = false;
+        Object.keys(metas).forEach(check);
+    }
+
+    return affected;
+}
+
+/**
+Removes the modules from the internal structures of loader, for the Y instance
+and for the YUI global of the app, so they will be fetched and attached again next time.
+
+@method invalidateModules
+@private
+@param {Object} yui the `app.yui` object
+@param {Object} Y the Y instance
+@param {Array} names the name of the modules to be removed
+**/
+function invalidateModules(yui, Y, names) {
+    var YEnv = Y && Y.Env,
+        loader = YEnv && YEnv._loader,
+        YUIEnv = yui.YUI && yui.YUI.Env;
+
+    names.forEach(function (name) {
+        // TODO: can we optimize this? delete is evil
+        if (YEnv) {
+            // instance entries
+            delete (YEnv._attached || {})[name];
+            delete (YEnv._used || {})[name];
+        }
+        if (loader) {
+            delete (loader.loaded || {})[name];
+            delete (loader.inserted || {})[name];
+            delete (loader.required || {})[name];
+        }
+        if (YUIEnv) {
+            // global entries
+            delete ((YUIEnv._loaded && YUIEnv._loaded[yui.version]) || {})[name];
+            delete (YUIEnv.mods || {})[name];
+        }
+    });
+}
+
+/**
+Attaches the modules into the Y instance, collecting any failure reported
+by loader thru `loadErrorFn` or thru the use callback. Modules are loaded
+synchronously on the server side, so it is safe to replace `loadErrorFn`
+for this call only.
+
+@method useModules
+@private
+@param {Object} Y the Y instance
+@param {Array} modules the modules to be attached
+@return {Error} the failure, or null
+**/
+function useModules(Y, modules) {
+    var loadErrorFn = Y.config.loadErrorFn,
+        error = null;
+
+    function loadError(response) {
+        var err = new Error('Error attaching modules [' + modules.join(', ') + '] on the server side: ' +
+                ((response && response.msg) || 'failed to load ' + ((response && response.data) || modules).join(', ')));
+        err.modules = modules;
+        err.data = response && response.data;
+        return err;
+    }
+
+    // loader keeps the list of missing modules from previous calls
+    if (Y.Env && Y.Env._missed) {
+        Y.Env._missed = [];
+    }
+    Y.config.loadErrorFn = function (Y, callback, response) {
+        error = error || loadError(response);
+        if (loadErrorFn) {
+            loadErrorFn.apply(this, arguments);
+        }
+    };
+    try {
+        Y.use(modules, function (Y, response) {
+            if (response && response.success === false) {
+                error = error || loadError(response);
+            }
+        });
+    } catch (e) {
+        error = e;
+    } finally {
+        Y.config.loadErrorFn = loadErrorFn;
+    }
+
+    return error;
+}
 
 /**
 The `express-yui.server` extension that provides a set of features
-to control a YUI instance on the server side.
+to control a YUI instance on the server side. The Y instance and
+the queues of groups and modules waiting to be attached belong to
+each `app.yui`, so two express apps in the same process will not
+share modules, groups or configurations on the server side.
 
 @class server
 @static
@@ -44,33 +202,21 @@ module.exports = {
     @chainable
     **/
     registerModules: function (groupName, groupModules) {
-        var YUIEnv = this.YUI && this.YUI.Env,
-            version = this.version,
-            YEnv = this._Y && this._Y.Env,
-            module;
+        var Y = this._Y,
+            attached = (Y && Y.Env && Y.Env._attached) || {},
+            groupsQueue = this._groupsQueue = this._groupsQueue || {};
 
         groupsQueue[groupName] = {
             modules: groupModules
         };
 
-        if (YEnv && YUIEnv) {
-            for (module in groupModules) {
-                if (groupModules.hasOwnProperty(module)) {
-                    // if the module was attached already, we should clean up the loader internal hashes
-                    if (YEnv._attached && YEnv._attached[module]) {
-                        // instance entries
-                        delete YEnv._attached[module];
-                        delete YEnv._used[module];
-                        delete YEnv._loader.loaded[module];
-                        delete YEnv._loader.inserted[module];
-                        delete YEnv._loader.required[module];
-                        // global entries
-                        delete YUIEnv._loaded[version][module];
-                        delete YUIEnv.mods[module];
-                        // TODO: can we optimize this? delete is evil
-                    }
-                }
-            }
+        // if the modules, or any module depending on them, were attached
+        // already, we should clean up the loader internal hashes
+        if (Y && this.YUI && this.YUI.Env) {
+            invalidateModules(this, Y, affectedModules(collectMetas(this, Y), Object.keys(groupModules || {}))
+                .filter(function (name) {
+                    return attached[name];
+                }));
         }
 
         return this;
@@ -87,19 +233,21 @@ module.exports = {
     @chainable
     **/
     attachModules: function (mods) {
-        var Y = this._Y;
+        var Y = this._Y,
+            modulesQueue = this._modulesQueue = this._modulesQueue || [];
 
-        modulesQueue = modulesQueue.concat(mods || []);
+        modulesQueue.push.apply(modulesQueue, [].concat(mods || []));
 
         if (Y) {
             try {
-                Y.use(modulesQueue);
+                Y.use(modulesQueue.slice());
             } catch (e) {
                 console.error('error attaching modules: ' + mods);
                 console.error(e);
                 console.error(e.stack);
             } finally {
-                modulesQueue = [];
+                // reseting in place, request layers share the queue
+                modulesQueue.length = 0;
             }
         }
 
@@ -107,21 +255,54 @@ module.exports = {
     },
 
     /**
-    Creates a YUI Instance and attaches all registered modules for all registered
-    groups into it, and optional attaches some more modules my mimicing the original
-    YUI.use method.
+    Creates a new YUI Instance for the server side based on the static configuration.
 
-    @method use
-    @public
+    @method _createY
+    @protected
+    @param {Object} config the static configuration
+    @param {Object} groups the configuration of the groups to be applied
     @return {Object} Y instance
     **/
-    use: function () {
-        var config = this.config(),
-            Y = this._Y,
+    _createY: function (config, groups) {
+        config = utils.clone(config);
+        config.groups = {}; // disabling the groups that will be added later on
+        // the configuration is applied to the instance rather than
+        // thru `YUI.applyConfig()` to avoid leaking it into other apps
+        return this.YUI(config, {
+            base: libpath.normalize(this.path + '/'),
+            combine: false
+        }, groups || {}, {
+            useSync: true,
+            loadErrorFn: function (Y, i, o) {
+                debug('--> Something really bad happened when trying to load yui modules on the server side');
+                debug('--> ' + o.msg);
+                if (Y.config.modules) {
+                    debug('--> Y.config.modules = ' + JSON.stringify(Y.config.modules));
+                }
+                if (Y.config.groups) {
+                    debug('--> Y.config.groups = ' + JSON.stringify(Y.config.groups));
+                }
+            }
+        });
+    },
+
+    /**
+    Creates the YUI Instance for the server side if needed, and applies the
+    configuration of every group registered since the last call. The instance
+    always belongs to `app.yui`, even when this method is called thru a
+    request layer.
+
+    @method _setupY
+    @protected
+    @return {Object} Y instance
+    **/
+    _setupY: function () {
+        var yui = (this._app && this._app.yui) || this,
+            config = yui.config(),
+            Y = yui._Y,
+            groupsQueue = yui._groupsQueue = yui._groupsQueue || {},
             groupName,
-            obj,
-            modules,
-            callback;
+            obj;
 
         for (groupName in groupsQueue) {
             if (groupsQueue.hasOwnProperty(groupName) && (config.groups && config.groups.hasOwnProperty(groupName))) {
@@ -129,49 +310,177 @@ module.exports = {
                 // at least one group config to be applied
                 obj = obj || { groups: {}, useSync: true };
                 obj.groups[groupName] = utils.extend(groupsQueue[groupName], utils.clone(config.groups[groupName]), {
-                    base: libpath.join(this._groupFolderMap[groupName], '/'),
+                    base: libpath.join(yui._groupFolderMap[groupName], '/'),
                     combine: false
                 });
             }
         }
 
+        if (obj) {
+            // keeping every group around to create more instances if needed
+            yui._serverGroups = utils.extend(yui._serverGroups || {}, obj.groups);
+            // instances created before this change are now outdated
+            yui._YVersion = (yui._YVersion || 0) + 1;
+        }
+
         if (!Y) {
-            config = utils.clone(config);
-            config.groups = {}; // disabling the groups that will be added later on
-            this.YUI.applyConfig(config);
-            this.YUI.applyConfig({
-                base: libpath.normalize(this.path + '/'),
-                combine: false
-            });
-            this.YUI.applyConfig(obj);
-            Y = this._Y = this.YUI({
-                useSync: true,
-                loadErrorFn: function (Y, i, o) {
-                    debug('--> Something really bad happened when trying to load yui modules on the server side');
-                    debug('--> ' + o.msg);
-                    if (Y.config.modules) {
-                        debug('--> Y.config.modules = ' + JSON.stringify(Y.config.modules));
-                    }
-                    if (Y.config.groups) {
-                        debug('--> Y.config.groups = ' + JSON.stringify(Y.config.groups));
-                    }
-                }
-            });
+            Y = yui._Y = yui._createY(config, obj);
         } else if (obj) {
-            this.YUI.applyConfig(obj);
             Y.applyConfig(obj);
         }
 
+        // reseting the queue in place, request layers share it
+        Object.keys(groupsQueue).forEach(function (name) {
+            delete groupsQueue[name];
+        });
+
+        return Y;
+
+    },
+
+    /**
+    Provides the Y instance for the current request when `yui server instances`
+    is set to `"request"` or `"pool"` thru `app.set()`, and `this` is a request
+    layer created by `expyui.expose()`, otherwise the shared Y instance will be
+    returned. The instance will be created or taken from the pool the first time,
+    every module attached into the shared Y instance will be attached into it, and
+    it will be released once the response finishes.
+
+    @method _requestY
+    @protected
+    @param {Object} Y the shared Y instance
+    @param {Array} modules the modules that were just attached into the shared Y instance
+    @return {Object} Y instance for the current request
+    **/
+    _requestY: function (Y, modules) {
+        var yui = (this._app && this._app.yui) || this,
+            mode = getSetting(this, 'yui server instances'),
+            layer = this,
+            entry;
+
+        if ((mode !== 'request' && mode !== 'pool') || !this._res) {
+            return Y;
+        }
+
+        if (this.hasOwnProperty('_requestYEntry')) {
+            entry = this._requestYEntry;
+            entry.Y.use(modules);
+            return entry.Y;
+        }
+
+        yui._YPool = yui._YPool || [];
+        while (mode === 'pool' && !entry && yui._YPool.length) {
+            entry = yui._YPool.pop();
+            if (entry.version !== yui._YVersion) {
+                entry = null;
+            }
+        }
+        entry = entry || {
+            Y: yui._createY(yui.config(), { groups: yui._serverGroups || {} }),
+            version: yui._YVersion
+        };
+        // attached modules are already loaded, there is no i/o involved
+        entry.Y.use(Object.keys((Y.Env && Y.Env._attached) || {}));
+
+        this._requestYEntry = entry;
+        function release() {
+            if (layer._requestYEntry === entry) {
+                delete layer._requestYEntry;
+                yui._releaseY(entry);
+            }
+        }
+        this._res.on('finish', release);
+        this._res.on('close', release);
+
+        return entry.Y;
+    },
+
+    /**
+    Puts a Y instance used by a request back into the pool if `yui server instances`
+    is set to `"pool"` and the pool is not full. The size of the pool could be set
+    thru `app.set('yui server pool size', 10)`.
+
+    @method _releaseY
+    @protected
+    @param {Object} entry the Y instance in a form of `{ Y: Y, version: n }`
+    **/
+    _releaseY: function (entry) {
+        var size = getSetting(this, 'yui server pool size') || DEFAULT_POOL_SIZE;
+
+        this._YPool = this._YPool || [];
+        if (getSetting(this, 'yui server instances') === 'pool' &&
+                entry.version === this._YVersion && this._YPool.length < size) {
+            this._YPool.push(entry);
+        }
+        debug('Y instance released, %d instances in the pool', this._YPool.length);
+    },
+
+    /**
+    Provides a Y instance configured for `lang`, so `Y.Intl` will use the
+    language bundles for `lang` when attaching modules on the server side.
+    The instance will be created once per language and kept by `app.yui`
+    until the groups or modules change, and every module attached into the
+    shared Y instance will be attached into it. The shared Y instance will
+    be returned if `lang` is the language of the static configuration.
+
+    @method _langY
+    @protected
+    @param {Object} Y the shared Y instance
+    @param {String} lang the language, e.g.: `fr-FR`
+    @return {Object} Y instance for `lang`
+    **/
+    _langY: function (Y, lang) {
+        var yui = (this._app && this._app.yui) || this,
+            config = yui.config(),
+            entry;
+
+        if (!lang || lang === config.lang) {
+            return Y;
+        }
+
+        yui._langYMap = yui._langYMap || {};
+        entry = yui._langYMap[lang];
+        if (!entry || entry.version !== yui._YVersion) {
+            entry = yui._langYMap[lang] = {
+                Y: yui._createY(utils.extend({}, config, { lang: lang }), { groups: yui._serverGroups || {} }),
+                version: yui._YVersion
+            };
+        }
+        // attached modules are already loaded, there is no i/o involved
+        entry.Y.use(Object.keys((Y.Env && Y.Env._attached) || {}));
+
+        return entry.Y;
+    },
+
+    /**
+    Creates a YUI Instance and attaches all registered modules for all registered
+    groups into it, and optional attaches some more modules my mimicing the original
+    YUI.use method. When called thru `req.yui`, the Y instance for the current request
+    will be returned if `yui server instances` is set thru `app.set()`, check
+    `_requestY()` for more details. An error will be thrown if the Y instance for
+    the request can not be provided.
+
+    @method use
+    @public
+    @return {Object} Y instance
+    **/
+    use: function () {
+        var Y = this._setupY(),
+            modulesQueue = this._modulesQueue = this._modulesQueue || [],
+            modules,
+            callback;
+
         // attaching modules
         // in case a callback is passed, we should consider that
         modules = Array.prototype.slice.call(arguments, 0);
         if (modules.length > 0 && (typeof modules[modules.length - 1] === 'function')) {
             callback = modules.pop();
         }
-        modulesQueue = modulesQueue.concat(modules);
+        modulesQueue.push.apply(modulesQueue, modules);
+        modules = modulesQueue.slice();
         if (modulesQueue.length) {
             try {
-                Y.use(modulesQueue);
+                Y.use(modules);
             } catch (e) {
                 console.error('error attaching modules: ' + modulesQueue);
                 console.error(e);
@@ -179,9 +488,11 @@ module.exports = {
             }
         }
 
-        // reseting the queues
-        modulesQueue = [];
-        groupsQueue = {};
+        // reseting the queue in place, request layers share it
+        modulesQueue.length = 0;
+
+        // failures should never fallback to the shared Y instance
+        Y = this._requestY(Y, modules);
 
         if (callback) {
             callback(Y);
@@ -189,6 +500,116 @@ module.exports = {
 
         return Y;
 
+    },
+
+    /**
+    Asynchronous version of `use()` that reports any failure from loader,
+    like missing modules, invalid groups or errors while attaching the modules,
+    as an `Error` instead of logging it, so it can be passed into `next()`.
+
+        app.get('/forecast', function (req, res, next) {
+            req.app.yui.useAsync('yql', function (err, Y) {
+                if (err) {
+                    return next(err);
+                }
+                // use Y
+            });
+        });
+
+    The error will have a `modules` property with the list of modules that were
+    requested, and a `data` property with the list of modules that loader tried
+    to load, if loader provides it.
+
+    @method useAsync
+    @public
+    @param {String*} modules optional modules to be attached into the Y instance
+    @param {Function} callback function to be called once the modules are attached
+        @param {Error} callback.err
+        @param {Object} callback.Y the Y instance for the server side
+    @chainable
+    **/
+    useAsync: function () {
+        var modules = Array.prototype.slice.call(arguments, 0),
+            callback = modules.pop(),
+            modulesQueue = this._modulesQueue = this._modulesQueue || [],
+            error = null,
+            Y;
+
+        if (typeof callback !== 'function') {
+            throw new Error('A callback function is required by `app.yui.useAsync()`.');
+        }
+
+        modules = [].concat.apply(modulesQueue.splice(0, modulesQueue.length), modules);
+
+        try {
+            Y = this._setupY();
+        } catch (e) {
+            error = e;
+        }
+
+        if (Y && modules.length) {
+            error = useModules(Y, modules);
+        }
+
+        if (Y && !error) {
+            try {
+                Y = this._requestY(Y, modules);
+            } catch (e) {
+                error = e;
+            }
+        }
+
+        process.nextTick(function () {
+            callback(error, error ? undefined : Y);
+        });
+
+        return this;
+
+    },
+
+    /**
+    Reloads modules on the server side after their source code has changed. Every
+    module requiring them, directly or thru other modules, based on the metas
+    registered thru `registerModules()` and the metas known by loader, will be
+    invalidated as well, and the ones that were attached will be fetched and
+    attached again.
+
+        var refreshed = app.yui.reloadModules(['foo']);
+        // refreshed => ['foo', 'bar'] if `bar` requires `foo`
+
+    Y instances in the pool, if `yui server instances` is set to `"pool"`, will be
+    discarded. An error will be thrown if the modules can not be attached again.
+
+    @method reloadModules
+    @public
+    @param {Array|String} names the name of the modules that changed
+    @return {Array} the name of the modules that were attached again
+    **/
+    reloadModules: function (names) {
+        var yui = (this._app && this._app.yui) || this,
+            Y = this._setupY(),
+            attached = (Y.Env && Y.Env._attached) || {},
+            affected = affectedModules(collectMetas(yui, Y), [].concat(names || [])),
+            refreshed = affected.filter(function (name) {
+                return attached[name];
+            }),
+            error;
+
+        debug('Reloading modules [%s] on the server side', affected.join(', '));
+        invalidateModules(yui, Y, affected);
+
+        // instances created before this change are now outdated
+        yui._YVersion = (yui._YVersion || 0) + 1;
+
+        if (refreshed.length) {
+            error = useModules(Y, refreshed);
+            if (error) {
+                throw error;
+            }
+        }
+
+        return refreshed;
+
     }
 
 };
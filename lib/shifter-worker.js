@@ -0,0 +1,85 @@
+/*
+ * Copyright (c) 2013, Yahoo! Inc.  All rights reserved.
+ * Copyrights licensed under the New BSD License.
+ * See the accompanying LICENSE file for terms.
+ */
+
+/*jslint node: true, nomen: true */
+
+/**
+The worker process forked by `app.yui.shiftFiles()` to shift files thru the
+shifter api, one file at a time, without spawning a new process per file.
+The worker receives `{file, buildDir, args}` messages, and replies with
+`{code, output, stdout, stderr}` once the file is shifted. The shifter output
+is forwarded to the output of the worker while it is collected.
+
+@module yui
+@submodule shifter-worker
+**/
+
+'use strict';
+
+var libpath = require('path'),
+    // shifter could be hoisted into the node_modules folder of the app
+    shifterPath = libpath.dirname(require.resolve('shifter')),
+    shifter = require(shifterPath),
+    shifterArgs = require(libpath.join(shifterPath, 'args')),
+    log = require(libpath.join(shifterPath, 'log')),
+    // output of the file being shifted
+    current = null;
+
+/**
+Collects everything written thru `stream` while a file is being shifted,
+forwarding it to the original stream.
+
+@method collect
+@private
+@param {String} name the name of the stream, `stdout` or `stderr`
+**/
+function collect(name) {
+    var stream = process[name],
+        write = stream.write;
+
+    stream.write = function (data) {
+        if (current) {
+            current.output += data;
+            current[name] += data;
+        }
+        return write.apply(stream, arguments);
+    };
+}
+
+collect('stdout');
+collect('stderr');
+
+process.on('message', function (task) {
+
+    var file = task.file,
+        options;
+
+    current = { output: '', stdout: '', stderr: '' };
+
+    function done(err) {
+        var result = current;
+        if (err) {
+            // reporting the failure the same way shifter cli does before exiting
+            log.err(err);
+        }
+        current = null;
+        result.code = err ? 1 : 0;
+        process.send(result);
+    }
+
+    try {
+        options = shifterArgs.parse(['node', 'shifter', '--build-dir', task.buildDir,
+            (libpath.extname(file) === '.js' ? '--yui-module' : '--config'), file].concat(task.args || []));
+        options.cwd = libpath.dirname(file);
+        process.chdir(options.cwd);
+        // shifter reads build.json thru `require()`, it should be read again every time
+        delete require.cache[file];
+        shifter.init(options, done);
+    } catch (e) {
+        done(e.stack || e.message);
+    }
+
+});
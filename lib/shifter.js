@@ -21,8 +21,9 @@ var libfs = require('fs'),
     libpath = require('path'),
     existsSync = libfs.existsSync || libpath.existsSync,
     vm = require('vm'),
-    spawn = require('win-spawn'),
-    shifterCLI = libpath.join(__dirname, '../node_modules/shifter/bin/shifter'),
+    os = require('os'),
+    fork = require('child_process').fork,
+    shifterWorker = libpath.join(__dirname, 'shifter-worker.js'),
     NODE_ENV   = process.env.NODE_ENV || 'development',
     contextForRunInContext = vm.createContext({
         require: null,
@@ -38,12 +39,102 @@ var libfs = require('fs'),
         md5sum.update(str);
         return md5sum.digest('hex');
     },
-    debug = require('debug')('express:yui:shifter');
+    debug = require('debug')('express:yui:shifter'),
+    MAX_OUTPUT_LENGTH = 10240,
+    MAX_DIAGNOSTICS_LENGTH = 1048576,
+    DEFAULT_CONCURRENCY = os.cpus().length,
+    SHIFTER_VERSION = require('shifter/package.json').version;
 
 function isFunction(fn) {
     return !!(fn && (Object.prototype.toString.call(fn) === '[object Function]') && fn.toString);
 }
 
+/**
+Parses the output of shifter for a file to produce the list of lint and parse
+errors in a form of `{file, line, column, message, severity}` objects. Shifter
+prints the lint summary for each file thru `stderr` while the details go thru
+`stdout`, so the details are matched with the summaries in order.
+
+@method parseDiagnostics
+@private
+@param {String} stdout the output of the shifter process
+@param {String} stderr the error output of the shifter process
+@param {String} file the filesystem path for the file that was shifted
+@return {Array} the list of diagnostics
+**/
+function parseDiagnostics(stdout, stderr, file) {
+
+    var diagnostics = [],
+        summaries = [],
+        compressions = 0,
+        details = [],
+        last;
+
+    function lintFile() {
+        // moving to the next summary once all its details were processed
+        while (summaries.length && summaries[0].count <= 0) {
+            summaries.shift();
+        }
+        if (summaries.length) {
+            summaries[0].count -= 1;
+            return summaries[0].file;
+        }
+        return file;
+    }
+
+    String(stderr || '').split(/\r?\n/).forEach(function (line) {
+        var m = line.match(/^shifter \[err\] (.*)$/),
+            summary = m && m[1].match(/^(.+) contains (\d+) lint errors$/);
+        if (summary) {
+            summaries.push({ file: summary[1], count: parseInt(summary[2], 10) });
+        } else if (m && /^compression failed/.test(m[1])) {
+            compressions += 1;
+        } else if (m && !/^dropped the clutch/.test(m[1])) {
+            diagnostics.push({ file: file, line: null, column: null, message: m[1], severity: 'error' });
+        }
+    });
+
+    String(stdout || '').split(/\r?\n/).forEach(function (line) {
+        var item = line.match(/^\s+#\d+: (?:\[(\w+)\] )?(.*)$/),
+            detail = line.match(/^\s+(.*) \/\/ line (\d+), pos (\d+)$/);
+        if (item) {
+            details.push({ item: item });
+        } else if (detail) {
+            details.push({ detail: detail });
+        }
+    });
+
+    // minifier runs after lint, the last details are the parse errors
+    details.forEach(function (entry, i) {
+        if (entry.detail && i >= details.length - compressions) {
+            diagnostics.push({
+                file: file,
+                line: parseInt(entry.detail[2], 10),
+                column: parseInt(entry.detail[3], 10),
+                message: entry.detail[1],
+                severity: 'error'
+            });
+        } else if (entry.detail && last) {
+            // evidence of the previous lint error
+            last.line = parseInt(entry.detail[2], 10);
+            last.column = parseInt(entry.detail[3], 10);
+            last = null;
+        } else if (entry.item) {
+            last = {
+                file: lintFile(),
+                line: null,
+                column: null,
+                message: entry.item[2],
+                severity: entry.item[1] === 'error' ? 'error' : 'warning'
+            };
+            diagnostics.push(last);
+        }
+    });
+
+    return diagnostics;
+
+}
+
 function Builder(options) {
     this.name = options.name;
     this.group = options.group;
@@ -197,13 +288,15 @@ You can also specify a custom yui build directory, by doing:
 
 @class shifter
 @static
-@uses *path, *fs, *module, *vm, win-spawn, shifter, loader
+@uses *path, *fs, *module, *vm, *os, *child_process, shifter, loader
 @extensionfor yui
 */
 module.exports = {
 
     /**
-    Shift yui modules using shifter cli.
+    Shift yui modules thru a pool of up to `options.concurrency` worker processes
+    running shifter, each one shifting files one at a time until the queue is empty,
+    and a failure will not stop the shifting process for the rest of the files.
 
     @method shiftFiles
     @public
@@ -211,75 +304,179 @@ module.exports = {
     @param {object} options configuration
 
         @param {string} options.buildDir custom path for the output of the shifter
-        @param {boolean} options.cache whether or not we should apply cache to speed up
+        @param {boolean|string} options.cache whether or not we should apply cache to speed up
             the shifting process. If true, it will create the folder `.cache` and generate
             some hash to prevent shifting the same *.js files if there is not change in
-            the source.
+            the source, the shifter version or the arguments. If `"verify"`, it will also
+            verify that the output files still exist before skipping a file.
         @param {array}  options.args shifter cli build arguments, it defaults to `[]`
-
-    @param {function} callback the callback method to signal the end of the operation
+        @param {number} options.concurrency max number of worker processes running at
+            the same time, it defaults to the number of cpus.
+        @param {boolean} options.failOnWarnings whether or not lint warnings should be
+            considered a failure.
+        @param {boolean} options.force whether or not files should be shifted in production
+            environments, where shifter is skipped by default.
+
+    @param {function} callback the callback method to signal the end of the operation.
+        In case of a failure, the error will have `file`, `code` and `output` with the
+        last part of the shifter output, `diagnostics` with the lint and parse errors
+        for the file, and `errors` with the failure for each file in the same order
+        of `files`.
+        @param {Error} callback.err
+        @param {Array} callback.diagnostics the lint and parse errors for every file in
+            a form of `{file, line, column, message, severity}` objects. The same list
+            will be emitted thru the `diagnostics` event.
     **/
     shiftFiles: function (files, options, callback) {
 
         var self = this,
             queue = [].concat(files),
-            args,
-            child;
+            errors = [],
+            diagnostics = {},
+            running = 0,
+            finished = false,
+            concurrency,
+            i;
 
-        if (NODE_ENV === "production") {
+        options = options || {};
+
+        if (NODE_ENV === "production" && !options.force) {
             debug('skipping shifter in production environments.');
             if (callback) { callback(null); }
             return;
         }
 
-        options = options || {};
+        concurrency = Math.max(1, options.concurrency || DEFAULT_CONCURRENCY);
+
+        function done() {
+            var list = [];
+            finished = true;
+            // reporting diagnostics in a deterministic order
+            files.forEach(function (file) {
+                list = list.concat(diagnostics[file] || []);
+            });
+            if (self.emit) {
+                self.emit('diagnostics', list);
+            }
+            if (!callback) {
+                return;
+            }
+            if (errors.length) {
+                // reporting failures in a deterministic order
+                errors.sort(function (a, b) {
+                    return files.indexOf(a.file) - files.indexOf(b.file);
+                });
+                errors[0].errors = errors;
+                errors[0].diagnostics = list;
+                callback(errors[0], list);
+                return;
+            }
+            callback(null, list);
+        }
 
-        function next() {
+        function report(file, result) {
+            var err;
+            diagnostics[file] = parseDiagnostics(String(result.stdout || '').slice(0, MAX_DIAGNOSTICS_LENGTH),
+                String(result.stderr || '').slice(0, MAX_DIAGNOSTICS_LENGTH), file);
+            if (result.code || (options.failOnWarnings && diagnostics[file].length)) {
+                if (options.cache) {
+                    // invalidating the cache entry
+                    self._clearCached(file, options.buildDir);
+                }
+                err = new Error(file + ": shifter compiler error: " + (result.code ||
+                    diagnostics[file].length + ' diagnostics') + '\n' +
+                    ' while executing: \n' + ['shifter', '--build-dir', options.buildDir, file]
+                        .concat(options.args || []).join(' '));
+                err.file = file;
+                err.code = result.code;
+                err.output = String(result.output || '').slice(-MAX_OUTPUT_LENGTH);
+                err.diagnostics = diagnostics[file];
+                errors.push(err);
+            }
+        }
 
+        function take() {
             var file = queue.shift();
+            // skipping the files that were not modified
+            while (file && options.cache && self._isCached(file, options.buildDir, options.args, options.cache === 'verify')) {
+                debug('skipping ' + file);
+                file = queue.shift();
+            }
+            return file;
+        }
 
-            if (file) {
+        // every slot forks a worker the first time it has a file to shift,
+        // and the worker will be reused for the rest of the files
+        function work() {
 
-                debug('shifting ' + file);
+            var worker = null,
+                file = null;
 
-                if (options.cache && self._isCached(file, options.buildDir)) {
-                    next();
+            function shift() {
+                file = take();
+                if (!file) {
+                    if (worker) {
+                        // the worker will exit once it gets disconnected
+                        worker.disconnect();
+                        worker = null;
+                    }
+                    running -= 1;
+                    if (running === 0 && !finished) {
+                        done();
+                    }
                     return;
                 }
-
-                args = [
-                    shifterCLI,
-                    "--build-dir", options.buildDir,
-                    (libpath.extname(file) === '.js' ? '--yui-module' : '--config'), file
-                ].concat(options.args || []);
-
-                child = spawn(process.argv[0], args, {
-                    cwd: libpath.dirname(file),
-                    stdio: 'inherit'
-                });
-                child.on('exit', function (code) {
-                    if (code) {
-                        if (options.cache) {
-                            // invalidating the cache entry
-                            self._clearCached(file, options.buildDir);
+                debug('shifting ' + file);
+                if (!worker) {
+                    worker = self._forkShifterWorker();
+                    worker.on('message', function (result) {
+                        var shifted = file;
+                        file = null;
+                        report(shifted, result);
+                        shift(); // next item in queue to be processed
+                    });
+                    worker.on('exit', function (code) {
+                        var shifted = file;
+                        worker = null;
+                        if (shifted) {
+                            // the worker died while shifting the file
+                            file = null;
+                            report(shifted, { code: code || 1 });
+                            shift();
                         }
-                        callback(new Error(file + ": shifter compiler error: " + code + '\n' +
-                            ' while executing: \n' + args.join(' ')));
-                        return;
-                    }
-                    next(); // next item in queue to be processed
+                    });
+                }
+                worker.send({
+                    file: file,
+                    buildDir: options.buildDir,
+                    args: options.args || []
                 });
-
-            } else {
-                if (callback) { callback(null); }
             }
 
+            running += 1;
+            shift();
+
         }
 
-        next(); // kick off the queue process
+        // kick off the queue process with one worker per slot
+        for (i = 0; i < concurrency && !finished; i += 1) {
+            work();
+        }
 
     },
 
+    /**
+    Forks a worker process to shift files thru the shifter api. Check
+    `shifter-worker` for more details.
+
+    @method _forkShifterWorker
+    @protected
+    @return {ChildProcess} the worker process
+    **/
+    _forkShifterWorker: function () {
+        return fork(shifterWorker);
+    },
+
     /**
     Analyze a build.json file to extract all the important metadata associted with it.
 
@@ -383,12 +580,93 @@ module.exports = {
         return mod;
     },
 
+    /**
+    Computes the list of files used by shifter to build a `build.json` file, including
+    the `build.json` itself, the `jsfiles`, `cssfiles`, `prependfiles`, `appendfiles`,
+    `copy` and lang entries of each build, the `assets` folder and the `meta` folder.
+    Folders will be expanded into the list of files within them.
+
+    @method _buildFileInputs
+    @protected
+    @param {string} file The filesystem path for the build.json file to be analyzed
+    @return {array} The filesystem path for all the inputs, or `undefined` if the build.json
+        file can't be parsed.
+    **/
+    _buildFileInputs: function (file) {
+        var dir = libpath.dirname(file),
+            inputs = [file],
+            mod;
+
+        try {
+            mod = JSON.parse(libfs.readFileSync(file, 'utf8'));
+        } catch (e) {
+            return;
+        }
+
+        function add(path) {
+            var stat;
+            try {
+                stat = libfs.statSync(path);
+            } catch (e) {
+                // missing inputs are part of the manifest as well
+                inputs.push(path);
+                return;
+            }
+            if (stat.isDirectory()) {
+                libfs.readdirSync(path).sort().forEach(function (name) {
+                    add(libpath.join(path, name));
+                });
+            } else {
+                inputs.push(path);
+            }
+        }
+
+        // same resolution used by shifter for `jsfiles` and `cssfiles`
+        function addFiles(files, sub) {
+            (Array.isArray(files) ? files : []).forEach(function (f) {
+                add(libpath.join(dir, (f.indexOf(sub + '/') === 0 || f.indexOf('./' + sub) === 0) ? '' : sub, f));
+            });
+        }
+
+        function addCopy(copy) {
+            (Array.isArray(copy) ? copy : []).forEach(function (entry) {
+                add(libpath.join(dir, entry[0]));
+            });
+        }
+
+        addCopy(mod.copy);
+        Object.keys(mod.builds || {}).forEach(function (name) {
+            var build = mod.builds[name] || {};
+            addFiles(build.jsfiles, 'js');
+            addFiles(build.prependfiles, 'js');
+            addFiles(build.appendfiles, 'js');
+            addFiles(build.cssfiles, 'css');
+            addCopy(build.copy);
+            if (build.config && build.config.lang) {
+                [''].concat(build.config.lang).forEach(function (lang) {
+                    add(libpath.join(dir, 'lang', name + (lang ? '_' + lang : '') + '.js'));
+                });
+            }
+        });
+        if (existsSync(libpath.join(dir, 'assets'))) {
+            add(libpath.join(dir, 'assets'));
+        }
+        if (existsSync(libpath.join(dir, 'meta'))) {
+            add(libpath.join(dir, 'meta'));
+        }
+
+        return inputs;
+    },
+
     /**
     Verifies if a source file was already processed by analyzing its content against an
-    internal cache mechanism. JSON files (*.json) are an exception, and they will not be
-    cached since they might includes other files that might change and affects the result
-    of the build so we can't rely on the source file alone. If the file is not in cache,
-    it will be included automatically.
+    internal cache mechanism. If the file is not in cache, it will be included automatically.
+    For a `build.json` file, the cache entry is a manifest with the content of every input
+    computed by `_buildFileInputs()`, so the file will be processed again if any of them
+    changes.
+
+    The cache key covers the content of the inputs, the shifter version, the shifter
+    arguments and the build folder, so changing any of them will invalidate the entry.
 
     Why? This method is just an artifact to avoid spawning a process to execute shifter, which
     is very expensive. It is also the main artifact to avoid shifting files when in production,
@@ -401,20 +679,71 @@ module.exports = {
     @protected
     @param {string} file The filesystem path for the file to be cached
     @param {string} buildDir The filesystem path for the build folder
+    @param {array} args Optional shifter cli arguments used to build the file
+    @param {boolean} verify Optional flag to verify that the output of the yui modules
+        in the file still exist in the build folder.
     @return {boolean} `true` if the file and its content matches the internal cache, otherwise `false`.
     **/
-    _isCached: function (file, buildDir) {
-        var fileHash,
-            data;
-        if (libpath.extname(file) !== '.json') {
-            fileHash = libpath.join(buildDir, '.cache', md5(file));
-            data = libfs.readFileSync(file, 'utf8');
-            if (existsSync(fileHash) && (libfs.readFileSync(fileHash, 'utf8') === data)) {
+    _isCached: function (file, buildDir, args, verify) {
+        var fileHash = libpath.join(buildDir, '.cache', md5(file)),
+            isBuildFile = libpath.extname(file) === '.json',
+            inputs = isBuildFile ? this._buildFileInputs(file) : [file],
+            manifest = {},
+            entry,
+            names;
+
+        if (!inputs) {
+            return false;
+        }
+
+        inputs.forEach(function (input) {
+            manifest[input] = existsSync(input) ? md5(libfs.readFileSync(input)) : null;
+        });
+        manifest = {
+            key: md5(JSON.stringify([
+                manifest,
+                SHIFTER_VERSION,
+                // silent and quiet modes do not affect the output of the build
+                (args || []).filter(function (arg) {
+                    return arg !== '--silent' && arg !== '--quiet';
+                }),
+                libpath.resolve(buildDir)
+            ])),
+            inputs: manifest
+        };
+
+        if (existsSync(fileHash)) {
+            try {
+                entry = JSON.parse(libfs.readFileSync(fileHash, 'utf8'));
+            } catch (e) {
+                debug('invalid cache entry for ' + file);
+            }
+        }
+        if (entry && entry.key === manifest.key) {
+            if (!verify) {
                 return true;
             }
-            libmkdirp.sync(libpath.join(buildDir, '.cache'));
-            libfs.writeFileSync(fileHash, data, 'utf8');
+            if (isBuildFile) {
+                names = Object.keys(JSON.parse(libfs.readFileSync(file, 'utf8')).builds || {});
+                if (names.every(function (name) {
+                        return existsSync(libpath.join(buildDir, name));
+                    })) {
+                    return true;
+                }
+            } else {
+                names = Object.keys((this._checkYUIModule(file) || {}).builds || {});
+                if (names.every(function (name) {
+                        return ['.js', '-min.js', '-debug.js'].every(function (suffix) {
+                            return existsSync(libpath.join(buildDir, name, name + suffix));
+                        });
+                    })) {
+                    return true;
+                }
+            }
+            debug('missing output files for ' + file);
         }
+        libmkdirp.sync(libpath.join(buildDir, '.cache'));
+        libfs.writeFileSync(fileHash, JSON.stringify(manifest, null, 4), 'utf8');
         return false;
     },
 
@@ -18,6 +18,64 @@ templates should be using Y.Template.
 "use strict";
 var utils = require('./utils');
 
+/**
+Resolves a template registered thru `Y.Template` by name. Language specific templates
+are named `<name>_<lang>`, and the lang will be truncated until finding a match,
+e.g.: `foo_fr-FR`, `foo_fr`, `foo`.
+
+@method resolveTemplate
+@private
+@param {Object} Y the Y instance holding the templates
+@param {String} bundleName the name of the bundle
+@param {String} templateName the name of the template
+@param {String} lang optional language
+@return {Function} the template, or undefined
+**/
+function resolveTemplate(Y, bundleName, templateName, lang) {
+    var names = [],
+        template,
+        i;
+
+    while (lang) {
+        names.push(templateName + '_' + lang);
+        lang = lang.lastIndexOf('-') > 0 ? lang.slice(0, lang.lastIndexOf('-')) : null;
+    }
+    names.push(templateName);
+
+    for (i = 0; i < names.length && !template; i += 1) {
+        template = Y.Template._cache[bundleName + '/' + names[i]];
+    }
+    return template;
+}
+
+/**
+Resolves the language specific version of every template in the bundle, to be
+used as partials instead of the ones bound to each template when it was compiled.
+
+@method resolvePartials
+@private
+@param {Object} Y the Y instance holding the templates
+@param {String} bundleName the name of the bundle
+@param {String} lang the language
+@return {Object} the partials per name, or null if there is nothing to overrule
+**/
+function resolvePartials(Y, bundleName, lang) {
+    var cache = Y.Template._cache,
+        prefix = bundleName + '/',
+        partials = null;
+
+    Object.keys(cache).forEach(function (key) {
+        var name = key.slice(prefix.length),
+            template = key.indexOf(prefix) === 0 && resolveTemplate(Y, bundleName, name, lang);
+        if (template && template !== cache[key]) {
+            partials = partials || {};
+            partials[name] = template;
+        }
+    });
+
+    return partials;
+}
+
 /**
  * Initialize a new `View` with the given `name`.
  *
@@ -101,15 +159,27 @@ Here is an example:
 module.exports = {
 
     /**
-    Expose a View class for express.
+    Expose a View class for express. Every call produces a new subclass of `View`
+    bound to this `app.yui` and to `config`, so sub-apps and multi-tenant setups can
+    render from their own bundles without affecting each other.
 
         app.set('view', app.yui.view({ defaultBundle: 'app-name' });
 
+    If `lang` is set in `res.locals`, e.g.: by `expyui.lang()` middleware, templates,
+    layouts and partials named `<name>_<lang>` will have precedence over `<name>`, and
+    they will be looked up from a Y instance configured for `lang`, so `Y.Intl`
+    will use the language bundles for `lang`.
+
+    Modules waiting to be attached on the server side will be attached thru
+    `useAsync()` before rendering, and any failure, as well as a missing template,
+    will be passed to express, which will pass it to `next()`.
+
     @method view
     @public
     @param {object} config The default configuration of the view engine.
 
         @param {object} defaultBundle The default group or bundle to lookup the template name.
+        @param {object} defaultLayout The default layout to render the template into.
 
     @return {function} the express view class
     **/
@@ -119,12 +189,19 @@ module.exports = {
 
         config = config || {};
 
-        utils.extend(View.prototype, {
+        function AppView(name, options) {
+            View.call(this, name, options);
+        }
+
+        AppView.prototype = utils.extend(Object.create(View.prototype), {
+            constructor: AppView,
             // augmenting the lookup mechanism to use the Y registered at the server side
             lookup: function (templateName, options) {
                 var bundleName = (options && options.bundle) || config.defaultBundle || self._defaultBundle,
-                    Y = self.use(),
-                    template;
+                    lang = options && options.lang,
+                    Y = self._langY(self.use(), lang),
+                    template,
+                    partials;
 
                 if (!bundleName) {
                     throw new Error('Invalid bundle name when looking up for template: ' + templateName +
@@ -133,20 +210,44 @@ module.exports = {
                 }
 
                 try {
-                    template = Y.Template._cache[bundleName + '/' + templateName];
+                    template = resolveTemplate(Y, bundleName, templateName, lang);
+                    partials = template && lang && resolvePartials(Y, bundleName, lang);
                 } catch (e) {
                     throw new Error('Error trying to access template `' + templateName + '`' +
                         ' from bundle `' + bundleName + '`; make sure the template was compiled correctly.');
                 }
+                if (partials) {
+                    // language specific partials will overrule the ones bound to the template
+                    return function (data) {
+                        return template(data, { partials: partials });
+                    };
+                }
                 return template;
             },
             layout: function (options) {
                 var layoutName = (options && options.layout) || config.defaultLayout;
                 return layoutName && this.lookup(layoutName, options);
+            },
+            // failures attaching the modules on the server side will be passed to `fn`
+            render: function (options, fn) {
+                var view = this;
+                self.useAsync(function (err) {
+                    var output;
+                    if (!err) {
+                        try {
+                            View.prototype.render.call(view, options, function (e, str) {
+                                output = str;
+                            });
+                        } catch (e) {
+                            err = e;
+                        }
+                    }
+                    fn(err, err ? undefined : output);
+                });
             }
         });
 
-        return View;
+        return AppView;
 
     }
 
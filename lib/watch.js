@@ -0,0 +1,255 @@
+/*
+ * Copyright (c) 2013, Yahoo! Inc.  All rights reserved.
+ * Copyrights licensed under the New BSD License.
+ * See the accompanying LICENSE file for terms.
+ */
+
+/*jslint node:true, nomen: true */
+
+/**
+The `express-yui.watch` extension provides a set of features
+to build and rebuild yui modules in a group without locator.
+
+@module yui
+@submodule watch
+**/
+
+'use strict';
+
+var libfs = require('fs'),
+    libpath = require('path'),
+    libmkdirp = require('mkdirp'),
+    utils = require('./utils'),
+    debug = require('debug')('express:yui:watch'),
+    existsSync = libfs.existsSync || libpath.existsSync,
+    WATCH_DELAY = 100;
+
+/**
+The `express-yui.watch` extension provides a set of features
+to build and rebuild yui modules in a group without locator.
+This is useful for apps registering groups manually thru
+`app.yui.registerGroup()`:
+
+    app.yui.watch(__dirname + '/src', {
+        group: 'app',
+        buildDir: __dirname + '/build'
+    });
+
+@class watch
+@static
+@uses *fs, *path, *mkdirp, utils, loader, shifter, origin, server
+@extensionfor yui
+*/
+module.exports = {
+
+    /**
+    Builds every yui module and build.json file under `srcDir` as a group, and
+    watches them to build again only what changed. After every build, the meta
+    module of the group will be generated thru `BuilderClass`, and the group
+    will be registered again thru `registerGroup()` and `registerModules()`,
+    so the client and the server will see the new code.
+
+        app.yui.watch(__dirname + '/src', {
+            group: 'app',
+            buildDir: __dirname + '/build'
+        }, function (err) {
+            // the group was built
+        });
+
+    This method is meant to be used in development only.
+
+    @method watch
+    @public
+    @param {String} srcDir filesystem path for the source of the modules
+    @param {Object} options optional watch settings
+        @param {String} options.group optional name of the group. Default to
+            the name of the `srcDir` folder.
+        @param {String} options.buildDir optional filesystem path for the output
+            of the shifter. Default to a `build` folder next to `srcDir`.
+        @param {Array} options.args optional shifter cli arguments.
+    @param {Function} callback optional function to be called after every build
+        @param {Error} callback.err
+        @param {Array} callback.builds filesystem path for the files that were shifted
+    @chainable
+    **/
+    watch: function (srcDir, options, callback) {
+
+        var yui = this,
+            watchers = {},
+            changed = {},
+            building = false,
+            group,
+            buildDir,
+            moduleName,
+            metaFile,
+            args,
+            timer;
+
+        if (utils.isFunction(options)) {
+            callback = options;
+            options = {};
+        }
+        options = options || {};
+
+        srcDir = libpath.resolve(srcDir);
+        group = options.group || libpath.basename(srcDir);
+        buildDir = libpath.resolve(options.buildDir || libpath.join(srcDir, '..', 'build'));
+        moduleName = 'loader-' + group;
+        // the meta module should not be part of the source
+        metaFile = libpath.join(buildDir, '.watch', moduleName + '.js');
+        args = ['--no-global-config', '--no-coverage', '--no-lint'].concat(options.args || []);
+
+        function build() {
+            var files,
+                paths = Object.keys(changed),
+                mods = yui._bundles && yui._bundles[group],
+                removed = false,
+                modified,
+                builds,
+                metas,
+                client;
+
+            if (building) {
+                // waiting for the current build to finish
+                timer = setTimeout(build, WATCH_DELAY);
+                return;
+            }
+
+            files = scan(srcDir, []);
+            changed = {};
+
+            // removing modules from files that no longer exist
+            Object.keys(mods || {}).forEach(function (file) {
+                if (!existsSync(file)) {
+                    delete mods[file];
+                    removed = true;
+                }
+            });
+
+            modified = files.filter(function (file) {
+                return paths.some(function (path) {
+                    return file === path || file.indexOf(path + libpath.sep) === 0;
+                });
+            });
+
+            builds = yui._buildsInBundle({ name: group }, modified, files.filter(function (file) {
+                return libpath.extname(file) === '.json';
+            }));
+
+            if (builds.length === 0 && !removed) {
+                return;
+            }
+
+            debug('building %d files for group [%s]', builds.length, group);
+
+            // computing the meta module
+            metas = yui._allocateMetas((yui._bundles && yui._bundles[group]) || {}, moduleName, moduleName + '.js');
+            client = new (yui.BuilderClass)({
+                name: moduleName,
+                group: group
+            });
+            client.compile(metas.client);
+            libmkdirp.sync(libpath.dirname(metaFile));
+            libfs.writeFileSync(metaFile, client.data.js, 'utf8');
+            builds.push(metaFile);
+
+            building = true;
+            yui.shiftFiles(builds, {
+                buildDir: buildDir,
+                args: args,
+                cache: true
+            }, function (err) {
+                var server;
+                building = false;
+                yui._recordBuild(group, err);
+                if (!err) {
+                    yui.registerGroup(group, buildDir, metaFile);
+                    // computing the metas for the server side
+                    server = new (yui.BuilderClass)({
+                        name: moduleName + '-server',
+                        group: group
+                    });
+                    server.compile(metas.server);
+                    yui.registerModules(group, server.data.json);
+                    // notifying browsers connected thru `expyui.reload()`
+                    if (yui._reloadClients && yui._reloadClients.length) {
+                        yui.notifyReload(group, modified);
+                    }
+                }
+                if (callback) {
+                    callback(err, builds);
+                }
+            });
+        }
+
+        function watchDir(dir) {
+            if (watchers[dir]) {
+                return;
+            }
+            watchers[dir] = libfs.watch(dir, function (evt, name) {
+                changed[name ? libpath.join(dir, name) : dir] = true;
+                clearTimeout(timer);
+                timer = setTimeout(build, WATCH_DELAY);
+            });
+        }
+
+        function scan(dir, files) {
+            watchDir(dir);
+            libfs.readdirSync(dir).forEach(function (name) {
+                var path = libpath.join(dir, name),
+                    stat;
+                if (name.charAt(0) === '.' || name === 'node_modules' || path === buildDir) {
+                    return;
+                }
+                try {
+                    stat = libfs.statSync(path);
+                } catch (e) {
+                    return;
+                }
+                if (stat.isDirectory()) {
+                    scan(path, files);
+                } else if (['.js', '.json'].indexOf(libpath.extname(name)) >= 0) {
+                    files.push(path);
+                }
+            });
+            return files;
+        }
+
+        this._watchers = this._watchers || [];
+        this._watchers.push(function () {
+            clearTimeout(timer);
+            Object.keys(watchers).forEach(function (dir) {
+                watchers[dir].close();
+            });
+            watchers = {};
+        });
+
+        // building the whole group
+        changed[srcDir] = true;
+        build();
+
+        return this;
+
+    },
+
+    /**
+    Stops watching the modules of every group watched thru `watch()`.
+
+        app.yui.unwatch();
+
+    @method unwatch
+    @public
+    @chainable
+    **/
+    unwatch: function () {
+
+        (this._watchers || []).forEach(function (close) {
+            close();
+        });
+        this._watchers = [];
+
+        return this;
+
+    }
+
+};
@@ -16,7 +16,9 @@ that could be used to boot `YUI` in the client runtime.
 
 'use strict';
 
-var expstate = require('express-state'),
+var libpath = require('path'),
+    EventEmitter = require('events').EventEmitter,
+    expstate = require('express-state'),
     middleware = require('./middleware'),
 
     // sub-modules
@@ -28,11 +30,50 @@ var expstate = require('express-state'),
     loader  = require('./loader'),
     server  = require('./server'),
     view    = require('./view'),
+    request = require('./request'),
+    fingerprint = require('./fingerprint'),
+    gzip = require('./gzip'),
+    reload = require('./reload'),
+    watch = require('./watch'),
+    manifest = require('./manifest'),
 
     // utilities
     utils = require('./utils'),
     debug = require('debug')('express:yui');
 
+/**
+Loads a fresh copy of the yui seed for nodejs, the same one exposed by
+`require('yui').YUI`, so every app gets its own `YUI` global, and modules
+with the same name from different apps never collide in `YUI.Env.mods`.
+
+@method createYUI
+@private
+@param {String} path the path to the yui package
+@return {Function} the `YUI` global for the app
+**/
+function createYUI(path) {
+    var file = libpath.join(path, 'yui-nodejs', 'yui-nodejs' + (utils.debugMode ? '-debug' : '') + '.js'),
+        cached = require.cache[file],
+        YUI;
+
+    delete require.cache[file];
+    YUI = require(file).YUI;
+    // restoring the cache in case someone else is using the original copy
+    if (cached) {
+        require.cache[file] = cached;
+    } else {
+        delete require.cache[file];
+    }
+
+    // same setup done by `yui` and `yui/debug` for the server side
+    YUI.config.doc = { documentElement: {} };
+    YUI.Env._ready = YUI.Env.DOMReady = YUI.Env.windowLoaded = true;
+    if (utils.debugMode) {
+        YUI.applyConfig({ debug: true, filter: 'debug' });
+    }
+    return YUI;
+}
+
 /**
 The `express-yui` extension provides the foundation and some basic
 features to attach information into the `res.locals` object
@@ -75,13 +116,23 @@ appropiated settings generated by `expose` middleware.
 @class yui
 @static
 @constructor
-@uses *express, *express-expose, utils, cdn, seed, origin, groups, shifter, loader, server, view
+@extends *events.EventEmitter
+@uses *express, *express-expose, utils, cdn, seed, origin, groups, shifter, loader, server, view, request, fingerprint, gzip, reload, watch, manifest
 */
 function ExpressYUIExtension(app) {
     var YUI;
 
+    EventEmitter.call(this);
+
     this._app = app;
     this._config = {};
+    // shared with the request layers to cache the integrity hashes
+    this._integrityCache = {};
+    // server side state, it should never be shared between apps
+    this._groupsQueue = {};
+    this._modulesQueue = [];
+    this._groupFolderMap = {};
+    this._bundles = {};
 
     try {
         YUI = require('yui' + (utils.debugMode ? '/debug' : ''));
@@ -90,9 +141,9 @@ function ExpressYUIExtension(app) {
             '`express`, `express-yui` and `yui` are peerDependencies.');
     }
 
-    this.YUI  = YUI.YUI;
     this.version = YUI.YUI.version;
     this.path = YUI.path();
+    this.YUI  = createYUI(this.path);
     debug('Using yui@' + this.version + ' from [' + this.path + '] in ' +
             (utils.debugMode ? 'debug' : 'production') + ' mode.');
 
@@ -108,7 +159,7 @@ function ExpressYUIExtension(app) {
     };
 }
 
-ExpressYUIExtension.prototype = {
+ExpressYUIExtension.prototype = utils.extend(Object.create(EventEmitter.prototype), {
 
     /**
     Turns on debug mode for YUI Loader by setting
@@ -173,8 +224,8 @@ ExpressYUIExtension.prototype = {
     Extends the static configuration with the supplier object(s)
     or returns the current static configuration reference. This
     configuration is static, and attached to the server object.
-    Once you call `yui.expose()` middleware for the first time,
-    this configuration becomes inmutable.
+    To overrule any setting for a particular request, use the
+    request layer exposed as `req.yui` by `expyui.expose()` instead.
 
     @method config
     @protected
@@ -195,9 +246,10 @@ ExpressYUIExtension.prototype = {
         return this._config;
     }
 
-};
+});
 
-utils.extend(ExpressYUIExtension.prototype, cdn, seed, origin, groups, shifter, loader, server, view);
+utils.extend(ExpressYUIExtension.prototype, cdn, seed, origin, groups, shifter, loader, server, view, request,
+    fingerprint, gzip, reload, watch, manifest);
 
 // exposing middleware as members of the constructor
 // exposing `augment` and `extend` methods to hook into a custom express or express app
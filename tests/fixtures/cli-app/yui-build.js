@@ -0,0 +1,14 @@
+/*jslint node:true*/
+
+"use strict";
+
+module.exports = function (Locator, options, yui) {
+    return [{
+        describe: {
+            summary: 'plugin to attach foo on the server'
+        },
+        bundleUpdated: function (evt) {
+            evt.bundle.useServerModules = ['foo'];
+        }
+    }];
+};
@@ -0,0 +1,116 @@
+/*
+* Copyright (c) 2013, Yahoo! Inc. All rights reserved.
+* Copyrights licensed under the New BSD License.
+* See the accompanying LICENSE file for terms.
+*/
+
+/*jslint node:true, nomen:true*/
+
+"use strict";
+
+var YUITest = require('yuitest'),
+    A = YUITest.Assert,
+    libfs = require('fs'),
+    libpath = require('path'),
+    tmp = require('tmp'),
+    mockery = require('mockery'),
+    fixture = libpath.join(__dirname, '..', 'fixtures', 'cli-app'),
+    suite,
+    cli = require('../../lib/cli.js');
+
+suite = new YUITest.TestSuite("cli-test suite");
+
+suite.add(new YUITest.TestCase({
+    name: "cli-test",
+
+    setUp: function () {
+        // modules required by the build should not be cached for other suites
+        mockery.enable({
+            useCleanCache: true,
+            warnOnReplace: false,
+            warnOnUnregistered: false
+        });
+    },
+
+    tearDown: function () {
+        mockery.disable();
+    },
+
+    "test parseArgs": function () {
+        var options = cli.parseArgs(['build', 'path/to/app', '--build-dir', 'out', '--gzip', '--no-cache',
+                '--config', 'yui-build.js']);
+        A.areEqual('build', options.command);
+        A.areEqual('path/to/app', options.appDir);
+        A.areEqual('out', options.buildDir);
+        A.areEqual('yui-build.js', options.config);
+        A.isTrue(options.gzip, 'gzip should be set');
+        A.isFalse(options.cache, 'cache should be disabled');
+        A.isUndefined(options.invalid);
+
+        options = cli.parseArgs(['build', '--foo']);
+        A.areEqual(process.cwd(), options.appDir, 'cwd should be the default app');
+        A.isTrue(options.cache, 'cache should be enabled by default');
+        A.areEqual('--foo', options.invalid, 'unknown options should be reported');
+    },
+
+    "test run with unknown command": function () {
+        var error = console.error,
+            err;
+        console.error = function () {};
+        cli.run(['foo'], function (e) {
+            err = e;
+        });
+        console.error = error;
+        A.isInstanceOf(Error, err, 'unknown commands should fail');
+    },
+
+    "test build": function () {
+        var self = this;
+
+        // creating a unique and temporary folder for the build
+        tmp.dir(function (err, path) {
+            if (err || !path) {
+                self.resume(function () {
+                    A.fail('unable to create a temporary folder to test');
+                });
+                return;
+            }
+            cli.build({
+                appDir: fixture,
+                buildDir: path,
+                config: 'yui-build.js',
+                cache: false
+            }, function (err, manifest) {
+                self.resume(function () {
+                    var group = manifest && manifest.groups['cli-app'];
+                    A.isNull(err, 'build should not fail');
+                    A.isObject(group, 'the bundle should be registered as a group');
+                    A.areEqual('cli-app-0.0.1', group.root);
+                    A.areEqual('cli-app-0.0.1/loader-cli-app.js', group.metaFile);
+                    A.isObject(group.modules.foo, 'modules should be in the manifest');
+                    A.isObject(group.serverModules.foo, 'server modules should be in the manifest');
+                    A.areEqual('foo', group.useServerModules.join(), 'modules from app plugins should be in the manifest');
+                    A.isString(group.files['foo/foo-min.js'], 'the module should be built');
+                    A.areEqual(JSON.stringify(manifest), JSON.stringify(JSON.parse(
+                        libfs.readFileSync(libpath.join(path, 'yui-manifest.json'), 'utf8')
+                    )), 'manifest should be written in the build folder');
+                });
+            });
+        });
+        this.wait();
+    },
+
+    "test build with invalid config": function () {
+        var err;
+        cli.build({
+            appDir: fixture,
+            config: 'missing-config.js'
+        }, function (e) {
+            err = e;
+        });
+        A.isInstanceOf(Error, err, 'missing config modules should fail');
+    }
+
+}));
+
+YUITest.TestRunner.add(suite);
@@ -0,0 +1,144 @@
+/*
+* Copyright (c) 2013, Yahoo! Inc. All rights reserved.
+* Copyrights licensed under the New BSD License.
+* See the accompanying LICENSE file for terms.
+*/
+
+/*jslint node:true, nomen:true*/
+
+"use strict";
+
+var YUITest = require('yuitest'),
+    A = YUITest.Assert,
+    OA = YUITest.ObjectAssert,
+    libfs = require('fs'),
+    libpath = require('path'),
+    tmp = require('tmp'),
+    suite,
+    fingerprint = require('../../lib/fingerprint.js'),
+    config;
+
+suite = new YUITest.TestSuite("fingerprint-test suite");
+
+suite.add(new YUITest.TestCase({
+    name: "fingerprint-test",
+
+    _should: {
+        error: {
+            "test fingerprintGroup without registering the group": true
+        }
+    },
+
+    setUp: function () {
+        config = {
+            groups: {
+                foo: {
+                    base: '/foo-1.2.3/',
+                    root: 'foo-1.2.3/'
+                }
+            }
+        };
+        fingerprint.config = function () {
+            return config;
+        };
+    },
+
+    tearDown: function () {
+        // cleanup
+        delete fingerprint.config;
+        delete fingerprint._groupFolderMap;
+        delete fingerprint._groupFingerprints;
+        config = null;
+    },
+
+    "test fingerprintGroup without registering the group": function () {
+        fingerprint.fingerprintGroup('foo');
+    },
+
+    "test fingerprintGroup": function () {
+        var self = this;
+
+        // creating a unique and temporary folder to simulate the group build
+        tmp.dir(function (err, path) {
+            self.resume(function () {
+                var groupRoot,
+                    entry,
+                    hash;
+
+                if (err || !path) {
+                    A.fail('unable to create a temporary folder to test');
+                }
+
+                groupRoot = libpath.join(path, 'foo-1.2.3');
+                libfs.mkdirSync(groupRoot);
+                libfs.mkdirSync(libpath.join(groupRoot, 'foo'));
+                libfs.mkdirSync(libpath.join(groupRoot, '.cache'));
+                libfs.writeFileSync(libpath.join(groupRoot, 'foo', 'foo-min.js'), 'foo');
+                libfs.writeFileSync(libpath.join(groupRoot, '.cache', 'foo.js'), 'cached');
+
+                fingerprint._groupFolderMap = {
+                    foo: groupRoot
+                };
+
+                A.areSame(fingerprint, fingerprint.fingerprintGroup('foo'), 'fingerprintGroup should be chainable');
+                entry = fingerprint._groupFingerprints.foo;
+                hash = entry.hash;
+                A.areEqual(8, hash.length, 'invalid hash length');
+                A.areEqual('foo-1.2.3', entry.groupDir, 'invalid group dir');
+                OA.ownsKeys(['foo/foo-min.js'], entry.files, 'hidden folders should be excluded');
+                A.areEqual(1, Object.keys(entry.files).length, 'hidden folders should be excluded');
+                A.areEqual('/foo-1.2.3-' + hash + '/', config.groups.foo.base, 'base should be fingerprinted');
+                A.areEqual('foo-1.2.3-' + hash + '/', config.groups.foo.root, 'root should be fingerprinted');
+
+                fingerprint.fingerprintGroup('foo');
+                A.areEqual(hash, entry.hash, 'same content should produce the same hash');
+                A.areEqual('/foo-1.2.3-' + hash + '/', config.groups.foo.base, 'base should not be fingerprinted twice');
+
+                libfs.writeFileSync(libpath.join(groupRoot, 'foo', 'foo-min.js'), 'bar');
+                fingerprint.fingerprintGroup('foo');
+                A.areNotEqual(hash, entry.hash, 'new content should produce a new hash');
+                A.areEqual('/foo-1.2.3-' + entry.hash + '/', config.groups.foo.base, 'base should use the new hash');
+                A.areEqual('foo-1.2.3-' + entry.hash + '/', config.groups.foo.root, 'root should use the new hash');
+            });
+        });
+        this.wait();
+    },
+
+    "test _resolveFingerprintedUrl": function () {
+        var comboConfig = {
+                comboBase: '/combo~',
+                comboSep: '~'
+            },
+            resolved;
+
+        fingerprint._groupFingerprints = {
+            foo: {
+                groupDir: 'foo-1.2.3',
+                hash: '0123abcd'
+            }
+        };
+
+        resolved = fingerprint._resolveFingerprintedUrl('/foo-1.2.3-0123abcd/foo/foo-min.js', comboConfig);
+        A.areEqual('/foo-1.2.3/foo/foo-min.js', resolved.url, 'folder url should be resolved');
+        A.isTrue(resolved.immutable, 'current hash should be immutable');
+
+        resolved = fingerprint._resolveFingerprintedUrl('/combo~foo-1.2.3-0123abcd/foo/foo-min.js~foo-1.2.3-0123abcd/bar/bar-min.js', comboConfig);
+        A.areEqual('/combo~foo-1.2.3/foo/foo-min.js~foo-1.2.3/bar/bar-min.js', resolved.url, 'combo url should be resolved');
+        A.isTrue(resolved.immutable, 'all parts with current hash should be immutable');
+
+        resolved = fingerprint._resolveFingerprintedUrl('/combo~foo-1.2.3-0123abcd/foo/foo-min.js~yui-3.11.0/yui/yui-min.js', comboConfig);
+        A.areEqual('/combo~foo-1.2.3/foo/foo-min.js~yui-3.11.0/yui/yui-min.js', resolved.url, 'partial combo url should be resolved');
+        A.isFalse(resolved.immutable, 'parts without fingerprint should not be immutable');
+
+        resolved = fingerprint._resolveFingerprintedUrl('/foo-1.2.3-99999999/foo/foo-min.js', comboConfig);
+        A.areEqual('/foo-1.2.3/foo/foo-min.js', resolved.url, 'stale hash should be resolved');
+        A.isFalse(resolved.immutable, 'stale hash should not be immutable');
+
+        resolved = fingerprint._resolveFingerprintedUrl('/foo-1.2.3/foo/foo-min.js', comboConfig);
+        A.areEqual('/foo-1.2.3/foo/foo-min.js', resolved.url, 'regular url should not be modified');
+        A.isFalse(resolved.immutable, 'regular url should not be immutable');
+    }
+
+}));
+
+YUITest.TestRunner.add(suite);
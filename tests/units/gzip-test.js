@@ -0,0 +1,97 @@
+/*
+* Copyright (c) 2013, Yahoo! Inc. All rights reserved.
+* Copyrights licensed under the New BSD License.
+* See the accompanying LICENSE file for terms.
+*/
+
+/*jslint node:true, nomen:true*/
+
+"use strict";
+
+var YUITest = require('yuitest'),
+    A = YUITest.Assert,
+    libfs = require('fs'),
+    libpath = require('path'),
+    zlib = require('zlib'),
+    tmp = require('tmp'),
+    suite,
+    gzip = require('../../lib/gzip.js');
+
+suite = new YUITest.TestSuite("gzip-test suite");
+
+suite.add(new YUITest.TestCase({
+    name: "gzip-test",
+
+    tearDown: function () {
+        // cleanup
+        delete gzip._groupFolderMap;
+        delete gzip._gzipCache;
+        delete gzip._gzipHits;
+    },
+
+    "test gzipGroup without registering the group": function () {
+        gzip.gzipGroup('foo', function (err) {
+            A.isInstanceOf(Error, err, 'unregistered groups should produce an error');
+        });
+    },
+
+    "test gzipGroup": function () {
+        var self = this;
+
+        // creating a unique and temporary folder to simulate the group build
+        tmp.dir(function (err, path) {
+            var groupRoot = libpath.join(path, 'foo-1.2.3');
+
+            if (err || !path) {
+                A.fail('unable to create a temporary folder to test');
+            }
+
+            libfs.mkdirSync(groupRoot);
+            libfs.mkdirSync(libpath.join(groupRoot, 'foo'));
+            libfs.mkdirSync(libpath.join(groupRoot, '.cache'));
+            libfs.writeFileSync(libpath.join(groupRoot, 'foo', 'foo-min.js'), 'foo');
+            libfs.writeFileSync(libpath.join(groupRoot, 'foo', 'foo.css'), 'bar');
+            libfs.writeFileSync(libpath.join(groupRoot, 'foo', 'foo.json'), '{}');
+            libfs.writeFileSync(libpath.join(groupRoot, '.cache', 'foo.js'), 'cached');
+
+            gzip._groupFolderMap = {
+                foo: groupRoot
+            };
+
+            gzip.gzipGroup('foo', function (err) {
+                self.resume(function () {
+                    A.isUndefined(err, 'no error expected');
+                    A.areEqual('foo', zlib.gunzipSync(libfs.readFileSync(libpath.join(groupRoot, 'foo', 'foo-min.js.gz'))).toString());
+                    A.areEqual('bar', zlib.gunzipSync(libfs.readFileSync(libpath.join(groupRoot, 'foo', 'foo.css.gz'))).toString());
+                    A.isFalse(libfs.existsSync(libpath.join(groupRoot, 'foo', 'foo.json.gz')), 'json files should not be compressed');
+                    A.isFalse(libfs.existsSync(libpath.join(groupRoot, '.cache', 'foo.js.gz')), 'hidden folders should be excluded');
+                });
+            });
+        });
+        this.wait();
+    },
+
+    "test _getGzipAsset for combos": function () {
+        var self = this,
+            fixture = libpath.join(__dirname, '..', 'fixtures'),
+            paths = [libpath.join(fixture, 'app-module.js'), libpath.join(fixture, 'metas.js')],
+            url = '/combo~/foo/app-module.js~/foo/metas.js';
+
+        gzip._getGzipAsset(url, paths, 2, function (err, data) {
+            A.isTrue(!err, 'no error expected');
+            A.isUndefined(data, 'asset should not be compressed before reaching the threshold');
+            gzip._getGzipAsset(url, paths, 2, function (err, data) {
+                self.resume(function () {
+                    A.isTrue(!err, 'no error expected');
+                    A.areEqual(libfs.readFileSync(paths[0]).toString() + libfs.readFileSync(paths[1]).toString(),
+                        zlib.gunzipSync(data).toString(), 'files should be combined and compressed');
+                    A.areSame(data, gzip._gzipCache[url], 'compressed asset should be cached');
+                });
+            });
+        });
+        this.wait();
+    }
+
+}));
+
+YUITest.TestRunner.add(suite);
@@ -11,7 +11,11 @@
 var YUITest = require('yuitest'),
     A = YUITest.Assert,
     OA = YUITest.ObjectAssert,
+    libfs = require('fs'),
+    libpath = require('path'),
+    tmp = require('tmp'),
     suite,
+    utils = require('../../lib/utils.js'),
     loader = require('../../lib/loader.js'),
     _buildsInBundle = loader._buildsInBundle;
 
@@ -34,6 +38,7 @@ suite.add(new YUITest.TestCase({
         delete loader._checkBuildFile;
         delete loader.BuilderClass;
         delete loader.config;
+        delete loader._buildErrors;
         loader._buildsInBundle = _buildsInBundle;
     },
 
@@ -64,6 +69,45 @@ suite.add(new YUITest.TestCase({
         A.areSame('4', plugin.describe.args[0]);
     },
 
+    "test plugin with failOnWarnings in silent mode": function () {
+        var self = this,
+            debugMode = utils.debugMode,
+            args,
+            plugin;
+
+        // shifter runs in silent mode when not in debug mode
+        utils.debugMode = false;
+        args = loader.plugin().describe.args;
+        plugin = loader.plugin({ failOnWarnings: true });
+        utils.debugMode = debugMode;
+
+        A.isTrue(args.indexOf('--silent') >= 0, 'shifter should run in silent mode by default');
+        A.isTrue(args.indexOf('--no-lint') >= 0, 'lint should be disabled by default');
+        ['--silent', '--quiet', '--no-lint'].forEach(function (arg) {
+            A.areEqual(-1, plugin.describe.args.indexOf(arg), arg + ' should not be used with failOnWarnings');
+        });
+
+        // lint warnings should be collected from the output of a real shifter build
+        tmp.dir(function (err, path) {
+            var file = libpath.join(path, 'foo', 'foo.js');
+            libfs.mkdirSync(libpath.dirname(file));
+            libfs.writeFileSync(file, 'YUI.add("foo", function (Y) { Y.foo = 1 });');
+            require('../../lib/shifter.js').shiftFiles([file], {
+                buildDir: libpath.join(path, 'build'),
+                args: plugin.describe.args,
+                failOnWarnings: plugin.describe.failOnWarnings
+            }, function (err, diagnostics) {
+                self.resume(function () {
+                    A.isObject(err, 'warnings should fail the build');
+                    A.areEqual(1, diagnostics.length, 'lint warnings should be reported');
+                    A.areEqual('Missing semicolon.', diagnostics[0].message);
+                    A.areEqual('warning', diagnostics[0].severity);
+                });
+            });
+        });
+        this.wait();
+    },
+
     "test register": function () {
         loader.register('foo', __dirname, 1);
         loader.register('bar', __filename, 2);
@@ -257,6 +301,14 @@ suite.add(new YUITest.TestCase({
         YUITest.Mock.verify(api);
         YUITest.Mock.verify(loader);
     },
+    "test getBuildErrors": function () {
+        A.areEqual(0, loader.getBuildErrors().length, 'no errors expected before building');
+        loader._buildErrors = {
+            foo: { bundle: 'foo', file: '/path/to/foo.js', output: 'boom', time: 'now' }
+        };
+        A.areEqual(1, loader.getBuildErrors().length);
+        A.areEqual('boom', loader.getBuildErrors()[0].output);
+    },
     "test _cssprocInBundle": function () {
         var bundle = {
                 name: 'foo',
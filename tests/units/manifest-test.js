@@ -0,0 +1,179 @@
+/*
+* Copyright (c) 2013, Yahoo! Inc. All rights reserved.
+* Copyrights licensed under the New BSD License.
+* See the accompanying LICENSE file for terms.
+*/
+
+/*jslint node:true, nomen:true*/
+
+"use strict";
+
+var YUITest = require('yuitest'),
+    A = YUITest.Assert,
+    libfs = require('fs'),
+    libpath = require('path'),
+    tmp = require('tmp'),
+    suite,
+    manifest = require('../../lib/manifest.js');
+
+suite = new YUITest.TestSuite("manifest-test suite");
+
+suite.add(new YUITest.TestCase({
+    name: "manifest-test",
+
+    tearDown: function () {
+        // cleanup
+        delete manifest.version;
+        delete manifest._groupFolderMap;
+        delete manifest._groupMetaMap;
+        delete manifest._defaultBundle;
+        delete manifest._registerGroupConfig;
+        delete manifest.registerModules;
+        delete manifest.attachModules;
+        delete manifest._groupModulesMap;
+        delete manifest._groupUseServerModulesMap;
+        delete manifest._hashGroupFiles;
+        delete manifest._hashGroup;
+    },
+
+    "test getManifest": function () {
+        var result;
+
+        manifest.version = 'a.b.c';
+        manifest._groupFolderMap = {
+            foo: '/path/to/build/foo-1.2.3'
+        };
+        manifest._groupMetaMap = {
+            foo: {
+                file: '/path/to/build/foo-1.2.3/loader-foo.js',
+                moduleName: 'loader-foo'
+            }
+        };
+        manifest._groupModulesMap = {
+            foo: { bar: {}, baz: {} }
+        };
+        manifest._groupUseServerModulesMap = {
+            foo: ['bar']
+        };
+        manifest._hashGroupFiles = function (groupRoot) {
+            A.areEqual('/path/to/build/foo-1.2.3', groupRoot);
+            return { 'bar/bar.js': 'abc' };
+        };
+        manifest._hashGroup = function (files) {
+            return 'hash';
+        };
+
+        result = manifest.getManifest('/path/to/build');
+        A.areEqual('a.b.c', result.yui);
+        A.areEqual('foo-1.2.3', result.groups.foo.root, 'paths should be relative');
+        A.areEqual('foo-1.2.3/loader-foo.js', result.groups.foo.metaFile, 'paths should be relative');
+        A.areEqual('loader-foo', result.groups.foo.moduleName);
+        A.areEqual('bar,baz', Object.keys(result.groups.foo.modules).join());
+        A.isUndefined(result.groups.foo.serverModules, 'groups without bundle should not have server modules');
+        A.areEqual('bar', result.groups.foo.useServerModules.join(), 'modules to be attached should be in the manifest');
+        A.areEqual('hash', result.groups.foo.hash);
+        A.areEqual('abc', result.groups.foo.files['bar/bar.js']);
+    },
+
+    "test loadManifest": function () {
+        var self = this;
+
+        // creating a unique and temporary folder to simulate the build
+        tmp.dir(function (err, path) {
+            self.resume(function () {
+                var groupRoot = libpath.join(path, 'foo-1.2.3'),
+                    file = libpath.join(path, 'yui-manifest.json'),
+                    registered = {};
+
+                if (err || !path) {
+                    A.fail('unable to create a temporary folder to test');
+                }
+
+                libfs.mkdirSync(groupRoot);
+                libfs.mkdirSync(libpath.join(groupRoot, 'bar'));
+                libfs.writeFileSync(libpath.join(groupRoot, 'loader-foo.js'), '');
+                libfs.writeFileSync(libpath.join(groupRoot, 'bar', 'bar.js'), '');
+                libfs.writeFileSync(file, JSON.stringify({
+                    defaultBundle: 'foo',
+                    groups: {
+                        foo: {
+                            root: 'foo-1.2.3',
+                            metaFile: 'foo-1.2.3/loader-foo.js',
+                            moduleName: 'loader-foo',
+                            modules: { bar: { group: 'foo' } },
+                            serverModules: { bar: { group: 'foo' } },
+                            useServerModules: ['bar'],
+                            files: { 'bar/bar.js': 'abc' }
+                        }
+                    }
+                }));
+
+                manifest._registerGroupConfig = function (group, root, metaFile, files) {
+                    registered.group = group;
+                    registered.root = root;
+                    registered.metaFile = metaFile;
+                    registered.files = files;
+                };
+                manifest.registerModules = function (groupName, modules) {
+                    registered.serverModules = modules;
+                };
+                manifest.attachModules = function (modules) {
+                    A.isObject(registered.serverModules, 'modules should be registered before attaching them');
+                    registered.useServerModules = modules;
+                };
+
+                A.areSame(manifest, manifest.loadManifest(file), 'loadManifest should be chainable');
+                A.areEqual('foo', registered.group.groupName);
+                A.areEqual('loader-foo', registered.group.moduleName);
+                A.isObject(registered.group.modules.bar);
+                A.areEqual(groupRoot, registered.root);
+                A.areEqual(libpath.join(groupRoot, 'loader-foo.js'), registered.metaFile);
+                A.areEqual('abc', registered.files['bar/bar.js']);
+                A.isObject(registered.serverModules.bar, 'server modules should be registered');
+                A.areEqual('bar', registered.useServerModules.join(), 'modules from locator plugins should be attached');
+                A.areEqual('foo', manifest._defaultBundle);
+
+                libfs.unlinkSync(libpath.join(groupRoot, 'bar', 'bar.js'));
+                libfs.writeFileSync(file, JSON.stringify({
+                    groups: {
+                        baz: {
+                            root: 'foo-1.2.3',
+                            metaFile: 'foo-1.2.3/loader-foo.js',
+                            moduleName: 'loader-baz'
+                        },
+                        foo: {
+                            root: 'foo-1.2.3',
+                            metaFile: 'foo-1.2.3/loader-foo.js',
+                            moduleName: 'loader-foo',
+                            files: { 'bar/bar.js': 'abc' }
+                        }
+                    }
+                }));
+                registered = {};
+                try {
+                    manifest.loadManifest(file);
+                    A.fail('missing files should throw');
+                } catch (e) {
+                    A.isTrue(e.message.indexOf(libpath.join(groupRoot, 'bar', 'bar.js')) > 0, 'missing files should be reported');
+                }
+                A.isUndefined(registered.group, 'valid groups should not be registered when the manifest is invalid');
+
+                libfs.writeFileSync(file, JSON.stringify({
+                    yui: '3.10.0',
+                    groups: {}
+                }));
+                manifest.version = '3.11.0';
+                try {
+                    manifest.loadManifest(file);
+                    A.fail('a different version of yui should throw');
+                } catch (e2) {
+                    A.isTrue(e2.message.indexOf('yui@3.10.0') > 0, 'the version of the manifest should be reported');
+                }
+            });
+        });
+        this.wait();
+    }
+
+}));
+
+YUITest.TestRunner.add(suite);
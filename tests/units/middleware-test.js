@@ -12,6 +12,8 @@ var YUITest = require('yuitest'),
     A = YUITest.Assert,
     OA = YUITest.ObjectAssert,
     mockery = require('mockery'),
+    libpath = require('path'),
+    fixture = libpath.join(__dirname, '..', 'fixtures'),
     middleware,
     suite,
     expressCombo,
@@ -133,13 +135,466 @@ suite.add(new YUITest.TestCase({
         A.areEqual(4, counter, 'not all middleware were called');
     },
 
+    "test static with fingerprint": function () {
+
+        var mid,
+            req = {
+                url: '/combo~/foo-1.2.3-0123abcd/foo/foo-min.js',
+                app: {
+                    yui: {
+                        _groupFolderMap: {},
+                        path: 'path/to/yui',
+                        version: 'a.b.c',
+                        FINGERPRINT_CACHE_CONTROL: 'immutable',
+                        config: function () { return {}; },
+                        _resolveFingerprintedUrl: function (url, comboConfig) {
+                            A.areEqual('/combo~', comboConfig.comboBase, 'default combo config should be used');
+                            return {
+                                url: url.replace('-0123abcd', ''),
+                                immutable: true
+                            };
+                        }
+                    },
+                    set: function (name) {
+                        return name === 'yui fingerprint';
+                    }
+                }
+            },
+            headers = {},
+            res = {
+                setHeader: function (name, value) {
+                    headers[name] = value;
+                }
+            },
+            url;
+
+        expressCombo.combine = function () {
+            return function (req, res, next) {
+                url = req.url;
+                next();
+            };
+        };
+        expressCombo.folder = function () {
+            return function (req, res, next) {
+                next();
+            };
+        };
+
+        mid = middleware['static']();
+        mid(req, res, function () {});
+
+        A.areEqual('/combo~/foo-1.2.3/foo/foo-min.js', url, 'fingerprinted url should be resolved');
+        A.areEqual('immutable', headers['Cache-Control'], 'immutable cache header should be set');
+    },
+
+    "test static with conditional GET for combo": function () {
+
+        var self = this,
+            mid,
+            combined = 0,
+            yui = {
+                _groupFolderMap: {},
+                path: fixture,
+                version: 'a.b.c',
+                config: function () { return {}; }
+            },
+            url = '/combo~/yui-a.b.c/app-module.js~/yui-a.b.c/metas.js';
+
+        function makeReq(headers) {
+            return {
+                url: url,
+                method: 'GET',
+                headers: headers,
+                app: {
+                    yui: yui,
+                    set: function () {}
+                }
+            };
+        }
+
+        function makeRes(onEnd) {
+            return {
+                headers: {},
+                setHeader: function (name, value) {
+                    this.headers[name] = value;
+                },
+                end: function () {
+                    this.ended = true;
+                    if (onEnd) {
+                        onEnd();
+                    }
+                }
+            };
+        }
+
+        expressCombo.combine = function () {
+            return function (req, res, next) {
+                combined += 1;
+                next();
+            };
+        };
+        expressCombo.folder = function () {
+            return function (req, res, next) {
+                next();
+            };
+        };
+
+        mid = middleware['static']();
+
+        mid(makeReq({}), makeRes(), function () {
+            var etag = yui._comboValidators[url].etag,
+                lastModified = yui._comboValidators[url].lastModified,
+                fresh = makeRes(function () {
+                    var stale = makeRes();
+                    mid(makeReq({ 'if-none-match': '"foo"' }), stale, function () {
+                        self.resume(function () {
+                            A.isTrue(/^"[0-9a-f]{32}"$/.test(etag), 'strong etag should be computed');
+                            A.isString(lastModified, 'last-modified should be computed');
+                            A.areEqual(304, fresh.statusCode, 'fresh requests should produce 304');
+                            A.areEqual(etag, fresh.headers.ETag, 'etag should be set');
+                            A.areEqual(2, combined, 'combo handler should be called for stale requests');
+                            A.areEqual(etag, stale.headers.ETag, 'etag should be set for stale requests');
+                            A.areEqual(lastModified, stale.headers['Last-Modified'], 'last-modified should be set');
+                        });
+                    });
+                });
+
+            A.areEqual(1, combined, 'combo handler should be called for the first request');
+            mid(makeReq({ 'if-none-match': etag }), fresh, function () {
+                self.resume(function () {
+                    A.fail('next should not be called for fresh requests');
+                });
+            });
+        });
+        this.wait();
+    },
+
+    "test static with conditional GET after changes": function () {
+
+        var self = this,
+            mid,
+            combined = 0,
+            yui = {
+                _groupFolderMap: {},
+                version: 'a.b.c',
+                config: function () { return {}; }
+            },
+            url = '/combo~/yui-a.b.c/foo.js';
+
+        function makeReq(headers) {
+            return {
+                url: url,
+                method: 'GET',
+                headers: headers,
+                app: {
+                    yui: yui,
+                    set: function () {}
+                }
+            };
+        }
+
+        function makeRes() {
+            return {
+                headers: {},
+                setHeader: function (name, value) {
+                    this.headers[name] = value;
+                },
+                end: function () {
+                    self.resume(function () {
+                        A.fail('modified assets should not produce 304');
+                    });
+                }
+            };
+        }
+
+        expressCombo.combine = function () {
+            return function (req, res, next) {
+                combined += 1;
+                next();
+            };
+        };
+        expressCombo.folder = function () {
+            return function (req, res, next) {
+                next();
+            };
+        };
+
+        require('tmp').dir(function (err, path) {
+            var file = libpath.join(path, 'foo.js'),
+                i;
+
+            require('fs').writeFileSync(file, 'foo');
+            yui.path = path;
+            // filling up the cache with other permutations
+            yui._comboValidators = {};
+            for (i = 0; i < 500; i += 1) {
+                yui._comboValidators['/combo~/yui-a.b.c/foo.js~' + i] = {};
+            }
+            mid = middleware['static']();
+
+            mid(makeReq({}), makeRes(), function () {
+                var etag = yui._comboValidators[url].etag;
+
+                A.areEqual(1, Object.keys(yui._comboValidators).length, 'cache should be bounded');
+                // changing the file after the validators were cached
+                require('fs').writeFileSync(file, 'foo bar');
+                require('fs').utimesSync(file, new Date(), new Date(Date.now() + 10000));
+
+                mid(makeReq({ 'if-none-match': etag }), makeRes(), function () {
+                    self.resume(function () {
+                        A.areEqual(2, combined, 'combo handler should be called for modified assets');
+                        A.areNotEqual(etag, yui._comboValidators[url].etag, 'etag should be computed again');
+                    });
+                });
+            });
+        });
+        this.wait();
+    },
+
+    "test static with gzip": function () {
+
+        var self = this,
+            mid,
+            headers = {
+                Vary: 'Accept-Language'
+            },
+            req = {
+                url: '/combo~/yui-a.b.c/app-module.js~/yui-a.b.c/metas.js',
+                method: 'GET',
+                headers: {
+                    'accept-encoding': 'gzip, deflate'
+                },
+                app: {
+                    yui: {
+                        _groupFolderMap: {},
+                        path: fixture,
+                        version: 'a.b.c',
+                        config: function () { return {}; },
+                        _getGzipAsset: function (url, paths, threshold, callback) {
+                            A.areEqual(req.url, url, 'url should be used as the cache key');
+                            A.areEqual(libpath.join(fixture, 'metas.js'), paths[1], 'paths should be resolved');
+                            A.areEqual(3, threshold, 'gzipThreshold should be honored');
+                            callback(null, new Buffer('compressed'));
+                        }
+                    },
+                    set: function () {}
+                }
+            },
+            res = {
+                setHeader: function (name, value) {
+                    headers[name] = value;
+                },
+                getHeader: function (name) {
+                    return headers[name];
+                },
+                end: function (data) {
+                    self.resume(function () {
+                        A.areEqual('compressed', data.toString(), 'compressed asset should be sent');
+                        A.areEqual('gzip', headers['Content-Encoding'], 'content-encoding should be set');
+                        A.areEqual('Accept-Language, Accept-Encoding', headers.Vary, 'vary should be extended');
+                        A.areEqual(req.app.yui._comboValidators[req.url].gzipEtag, headers.ETag, 'gzip etag should be set');
+                        A.areNotEqual(req.app.yui._comboValidators[req.url].etag, headers.ETag,
+                            'gzip etag should not match the identity etag');
+                        A.areEqual(10, headers['Content-Length'], 'content-length should be set');
+                        A.isTrue(headers['Content-Type'].indexOf('javascript') >= 0, 'content-type should be set');
+                    });
+                }
+            };
+
+        expressCombo.getContentType = function () {
+            return 'application/javascript;charset=utf-8';
+        };
+        expressCombo.combine = function () {
+            return function () {
+                A.fail('combo handler should not be called');
+            };
+        };
+        expressCombo.folder = function () {
+            return function (req, res, next) {
+                next();
+            };
+        };
+
+        mid = middleware['static']({ gzip: true, gzipThreshold: 3 });
+        mid(req, res, function () {
+            A.fail('next should not be called');
+        });
+        this.wait();
+    },
+
+    "test static with conditional GET for gzip": function () {
+
+        var self = this,
+            mid,
+            yui = {
+                _groupFolderMap: {},
+                path: fixture,
+                version: 'a.b.c',
+                config: function () { return {}; },
+                _getGzipAsset: function () {
+                    A.fail('fresh assets should not be compressed');
+                }
+            },
+            url = '/combo~/yui-a.b.c/app-module.js~/yui-a.b.c/metas.js';
+
+        function makeReq(headers) {
+            return {
+                url: url,
+                method: 'GET',
+                headers: headers,
+                app: {
+                    yui: yui,
+                    set: function () {}
+                }
+            };
+        }
+
+        function makeRes() {
+            return {
+                headers: {},
+                setHeader: function (name, value) {
+                    this.headers[name] = value;
+                },
+                getHeader: function (name) {
+                    return this.headers[name];
+                }
+            };
+        }
+
+        expressCombo.combine = function () {
+            return function (req, res, next) {
+                next();
+            };
+        };
+        expressCombo.folder = function () {
+            return function (req, res, next) {
+                next();
+            };
+        };
+
+        mid = middleware['static']({ gzip: true });
+        mid(makeReq({}), makeRes(), function () {
+            var validators = yui._comboValidators[url],
+                res = makeRes();
+
+            res.end = function () {
+                self.resume(function () {
+                    A.areEqual(304, res.statusCode, 'gzip etag should be honored');
+                    A.areEqual(validators.gzipEtag, res.headers.ETag, 'gzip etag should be sent back');
+                });
+            };
+            mid(makeReq({
+                'accept-encoding': 'gzip',
+                'if-none-match': validators.gzipEtag
+            }), res, function () {
+                self.resume(function () {
+                    A.fail('next should not be called');
+                });
+            });
+        });
+        this.wait();
+    },
+
+    "test static with conditional GET for missing files": function () {
+
+        var self = this,
+            mid,
+            res = {
+                setHeader: function () {
+                    A.fail('validators should not be set for missing files');
+                }
+            },
+            req = {
+                url: '/combo~/yui-a.b.c/app-module.js~/yui-a.b.c/missing.js',
+                method: 'GET',
+                headers: {},
+                app: {
+                    yui: {
+                        _groupFolderMap: {},
+                        path: fixture,
+                        version: 'a.b.c',
+                        config: function () { return {}; }
+                    },
+                    set: function () {}
+                }
+            };
+
+        expressCombo.combine = function () {
+            return function (req, res, next) {
+                next();
+            };
+        };
+        expressCombo.folder = function () {
+            return function (req, res, next) {
+                next();
+            };
+        };
+
+        mid = middleware['static']();
+        mid(req, res, function () {
+            self.resume(function () {
+                A.isFalse(req.app.yui._comboValidators.hasOwnProperty(req.url), 'validators should not be cached');
+            });
+        });
+        this.wait();
+    },
+
+    "test static with query string in combo url": function () {
+
+        var self = this,
+            mid,
+            req = {
+                url: '/combo~/yui-a.b.c/app-module.js~/yui-a.b.c/missing.js?yuireload=123',
+                method: 'GET',
+                headers: {},
+                app: {
+                    yui: {
+                        _groupFolderMap: {},
+                        path: fixture,
+                        version: 'a.b.c',
+                        config: function () { return {}; }
+                    },
+                    set: function () {}
+                }
+            };
+
+        expressCombo.combine = function () {
+            return function (req, res, next) {
+                self.resume(function () {
+                    A.areEqual('/combo~/yui-a.b.c/app-module.js~/yui-a.b.c/missing.js', req.url,
+                        'query string should not reach the combo handler');
+                });
+            };
+        };
+        expressCombo.folder = function () {
+            return function (req, res, next) {
+                next();
+            };
+        };
+
+        mid = middleware['static']();
+        mid(req, {}, function () {
+            A.fail('next should not be called');
+        });
+        this.wait();
+    },
+
     "test exposeSeed": function () {
         var mid,
             req = { app: { yui: { } } },
+            layer = {},
             res = { locals: { } },
-            nextCalled = false;
+            nextCalled = false,
+            exposed;
 
         YUITest.Mock.expect(req.app.yui, {
+            method: 'createRequestLayer',
+            args: [YUITest.Mock.Value.Any],
+            run: function () {
+                return layer;
+            }
+        });
+        YUITest.Mock.expect(layer, {
             method: 'getSeedUrls',
             args: [],
             run: function () {
@@ -149,18 +604,9 @@ suite.add(new YUITest.TestCase({
 
         YUITest.Mock.expect(res, {
             method: 'expose',
-            args: [YUITest.Mock.Value.Any, 'window.YUI_config.seed'],
+            args: [YUITest.Mock.Value.Object, 'window.YUI_config.seed'],
             run: function (seed) {
-                // [ 'url1',
-                //      'url2' ]
-                // console.log(seed);
-                A.areEqual(2, seed.length, 'only 2 seed expected');
-                A.areEqual('url1',
-                            seed[0],
-                            'seed[0] does not match');
-                A.areEqual('url2',
-                            seed[1],
-                            'seed[1] does not match');
+                exposed = seed;
             }
         });
 
@@ -171,26 +617,25 @@ suite.add(new YUITest.TestCase({
 
         A.isFunction(mid, 'middleware should be a function');
         A.areEqual(true, nextCalled, 'next() was not called from the middleware');
+        A.areSame(layer, req.yui, 'req.yui should be the request layer');
+
+        // seed is computed when the state gets serialized
+        A.areEqual('["url1","url2"]', JSON.stringify(exposed), 'seed does not match');
 
         YUITest.Mock.verify(req.app.yui);
+        YUITest.Mock.verify(layer);
         YUITest.Mock.verify(res);
     },
 
     "test exposeConfig": function () {
         var req,
             res,
-            fixture,
-            configFn,
             mid,
             called = false,
-            config = {
-                root: '/foo/bar',
-                extendedCore: [ 'my-module' ]
-            };
+            layer = {};
 
-        fixture = '(function(){YUI.Env.core.push.apply(YUI.Env.core,["my-module"]);YUI.applyConfig({"root":"/foo/bar","extendedCore":["my-module"]});}())';
-        req = { app: { yui: { config: function () {
-            return config;
+        req = { app: { yui: { createRequestLayer: function () {
+            return layer;
         } } } };
         res = { locals: { yui: { } } };
 
@@ -200,8 +645,7 @@ suite.add(new YUITest.TestCase({
             callCount: 2,
             run: function (data, ns) {
                 if (ns === 'window.YUI_config') {
-                    console.log(data);
-                    A.areEqual(config, data, 'exposed data should');
+                    A.areSame(layer, data, 'request layer should be exposed');
                 } else {
                     A.areEqual('window.app.yui', ns, 'exposed data should');
                 }
@@ -215,9 +659,51 @@ suite.add(new YUITest.TestCase({
 
         A.isFunction(mid, 'return value should be a middleware');
         A.areEqual(true, called, 'next() was not called');
+        A.areSame(layer, req.yui, 'req.yui should be the request layer');
         YUITest.Mock.verify(res);
     },
 
+    "test exposeConfig with existing request layer": function () {
+        var layer = {},
+            req = { yui: layer, app: { yui: {} } },
+            res = {},
+            exposed = {};
+
+        YUITest.Mock.expect(req.app.yui, {
+            method: 'createRequestLayer',
+            callCount: 0
+        });
+        res.expose = function (data, ns) {
+            exposed[ns] = data;
+        };
+
+        middleware.exposeConfig()(req, res, function () {});
+
+        A.areSame(layer, exposed['window.YUI_config'], 'existing req.yui should be reused');
+        YUITest.Mock.verify(req.app.yui);
+    },
+
+    "test exposeConfig with build errors": function () {
+        var errors = [{ bundle: 'app', file: 'foo.js', output: 'boom', time: 'now' }],
+            req = { yui: {}, app: { yui: {
+                getBuildErrors: function () {
+                    return errors;
+                }
+            } } },
+            res = {},
+            exposed = {};
+
+        res.expose = function (data, ns) {
+            exposed[ns] = data;
+        };
+
+        middleware.exposeConfig()(req, res, function () {});
+
+        A.isObject(exposed['window.app.yui.buildErrors'], 'build errors should be exposed in development');
+        A.areEqual(JSON.stringify(errors), JSON.stringify(exposed['window.app.yui.buildErrors']),
+            'build errors should be serialized when rendering the state');
+    },
+
     "test expose": function () {
         var fn1,
             fn2,
@@ -244,26 +730,371 @@ suite.add(new YUITest.TestCase({
         middleware.exposeSeed = fn2;
     },
 
-    "test debug": function () {
+    "test reload": function () {
+        var mid = middleware.reload(),
+            exposed = {},
+            client,
+            headers,
+            written = [],
+            req = {
+                method: 'GET',
+                url: '/foo',
+                yui: {},
+                app: {
+                    yui: {
+                        _addReloadClient: function (req, res) {
+                            client = res;
+                        }
+                    }
+                }
+            },
+            res = {
+                expose: function (data, ns) {
+                    exposed[ns] = data;
+                },
+                writeHead: function (status, hdrs) {
+                    A.areEqual(200, status);
+                    headers = hdrs;
+                },
+                write: function (data) {
+                    written.push(data);
+                }
+            },
+            next = false;
+
+        mid(req, res, function () {
+            next = true;
+        });
+        A.isTrue(next, 'next should be called for any other url');
+        A.areEqual('/yui-reload', req.yui._reloadUrl, 'stream url should be exposed by exposeConfig');
+        A.isUndefined(exposed['window.app.yui.reloadUrl'], 'stream url should be exposed after window.app.yui');
+        A.isUndefined(client, 'browser should not be connected for any other url');
+
+        // after `expose()`
+        req.yui._clientExposed = true;
+        mid(req, res, function () {});
+        A.areEqual('/yui-reload', exposed['window.app.yui.reloadUrl'], 'stream url should be exposed');
+
+        next = false;
+        req.url = '/yui-reload';
+        mid(req, res, function () {
+            next = true;
+        });
+        A.isFalse(next, 'next should not be called for the stream');
+        A.areEqual('text/event-stream', headers['Content-Type']);
+        A.areEqual('retry: 1000\n\n', written[0]);
+        A.areSame(res, client, 'browser should be connected');
+    },
+
+    "test reload with express-state": function () {
+        var expstate = require('express-state'),
+            app = expstate.extend({
+                response: {},
+                locals: {},
+                yui: {
+                    createRequestLayer: function () {
+                        return {
+                            toJSON: function () {
+                                return {};
+                            }
+                        };
+                    }
+                },
+                get: function () {}
+            });
+
+        function render(handlers) {
+            var req = { method: 'GET', url: '/foo', app: app },
+                res = Object.create(app.response);
+            res.app = app;
+            res.locals = {};
+            handlers.forEach(function (handler) {
+                handler(req, res, function () {});
+            });
+            return String(res.locals.state);
+        }
+
+        function assertReloadUrl(state) {
+            var client = state.indexOf('root.app.yui = '),
+                url = state.indexOf('root.app.yui.reloadUrl = ');
+            A.isTrue(client > 0, 'client should be rendered');
+            A.isTrue(url > client, 'reload url should be rendered after the client');
+        }
+
+        // in the documented order
+        assertReloadUrl(render([middleware.reload(), middleware.exposeConfig()]));
+        // in the opposite order
+        assertReloadUrl(render([middleware.exposeConfig(), middleware.reload()]));
+    },
+
+    "test inspect": function () {
         var mid,
+            headers = {},
+            output,
+            req = {
+                method: 'GET',
+                url: '/',
+                app: {
+                    yui: {
+                        version: 'a.b.c',
+                        path: 'path/to/yui',
+                        config: function () {
+                            return {
+                                seed: ['yui'],
+                                groups: {
+                                    app: { base: '/app/', root: '/app/', combine: true }
+                                }
+                            };
+                        },
+                        getSeedUrls: function (customConfig) {
+                            return ['/yui/yui-' + customConfig.filter + '.js'];
+                        },
+                        _groupFolderMap: { app: 'path/to/app' },
+                        _groupModulesMap: { app: { foo: {}, bar: {} } },
+                        _bundles: { app: { 'foo.js': { builds: { foo: {} } } } },
+                        _Y: { Env: { _attached: { 'yui-base': true, foo: true } } }
+                    }
+                }
+            },
+            res = {
+                setHeader: function (name, value) {
+                    headers[name] = value;
+                },
+                end: function (data) {
+                    output = data;
+                }
+            },
+            report;
+
+        mid = middleware.inspect();
+
+        mid(req, res, function () {
+            A.fail('next should not be called');
+        });
+        A.isTrue(headers['Content-Type'].indexOf('text/html') === 0, 'html should be the default format');
+        A.isTrue(output.indexOf('<h2>Groups</h2>') > 0, 'groups should be included');
+        A.isTrue(output.indexOf('&quot;path/to/app&quot;') > 0, 'json should be escaped');
+
+        req.url = '/?format=json';
+        mid(req, res, function () {});
+        A.isTrue(headers['Content-Type'].indexOf('application/json') === 0, 'json format');
+        report = JSON.parse(output);
+        A.areEqual('a.b.c', report.version);
+        A.areEqual('/app/', report.groups.app.base, 'group base');
+        A.areEqual('path/to/app', report.groups.app.folder, 'group folder');
+        A.areEqual('foo,bar', report.groups.app.modules.join(','), 'group modules');
+        A.areEqual('foo', report.bundles.app.join(','), 'bundle modules');
+        A.areEqual('/yui/yui-debug.js', report.seed.debug[0], 'seed per filter');
+        A.areEqual('yui-base,foo', report.server.attached.join(','), 'server modules');
+
+        req.method = 'POST';
+        output = null;
+        mid(req, res, function () {
+            output = 'next';
+        });
+        A.areEqual('next', output, 'only GET requests should be served');
+    },
+
+    "test lang": function () {
+        var mid,
+            output = {},
+            headers = {},
+            req = {
+                yui: {},
+                headers: {
+                    'accept-language': 'de;q=0.5, fr-CA, es-MX;q=0.8, *;q=0.1'
+                }
+            },
+            res = {
+                locals: {},
+                getHeader: function (name) {
+                    return headers[name];
+                },
+                setHeader: function (name, value) {
+                    headers[name] = value;
+                }
+            };
+
+        YUITest.Mock.expect(req.yui, {
+            method: 'applyConfig',
+            args: [YUITest.Mock.Value.Object],
+            run: function (config) {
+                output.config = config;
+            }
+        });
+
+        mid = middleware.lang({ available: ['en-US', 'fr', 'es-MX'] });
+        mid(req, res, function () { output.ok = 1; });
+
+        A.areEqual(1, output.ok, 'lang middleware should never stop the flow');
+        A.areEqual('fr', output.config.lang, 'fr-CA should be truncated to fr');
+        A.areEqual('fr', res.locals.lang, 'lang should be exposed to templates');
+        A.areEqual('Accept-Language', headers.Vary, 'vary header should be set');
+        YUITest.Mock.verify(req.yui);
+    },
+
+    "test lang with query, cookie and default": function () {
+        var mid,
+            res = {
+                locals: {},
+                getHeader: function () {
+                    return 'Accept-Encoding';
+                },
+                setHeader: function (name, value) {
+                    res.headers[name] = value;
+                },
+                headers: {}
+            };
+
+        mid = middleware.lang({ available: ['en-US', 'fr-FR', 'es'], query: 'hl' });
+
+        mid({ query: { hl: 'ES-es' }, cookies: { lang: 'fr-FR' }, headers: {} }, res, function () {});
+        A.areEqual('es', res.locals.lang, 'query should have precedence');
+        A.areEqual('Accept-Encoding, Accept-Language', res.headers.Vary, 'vary header should be appended');
+
+        mid({ query: {}, cookies: { lang: 'fr-FR' }, headers: { 'accept-language': 'es' } }, res, function () {});
+        A.areEqual('fr-FR', res.locals.lang, 'cookie should have precedence over the header');
+
+        mid({ headers: { 'accept-language': 'ja-JP, de' } }, res, function () {});
+        A.areEqual('en-US', res.locals.lang, 'first available lang should be the default');
+    },
+
+    "test preload": function () {
+        var mid,
+            layer = {},
             req = { app: { yui: {} } },
-            res = {},
+            headers = {
+                Link: '</foo.css>; rel=preload; as=style'
+            },
+            res = {
+                getHeader: function (name) {
+                    return headers[name];
+                },
+                setHeader: function (name, value) {
+                    headers[name] = value;
+                },
+                writeHead: function (status) {
+                    headers.status = status;
+                    return 'written';
+                }
+            },
+            writeHead = res.writeHead,
+            seed = ['/combo~/yui/yui/yui-min.js'];
+
+        req.app.yui.createRequestLayer = function () {
+            return layer;
+        };
+        layer.getSeedUrls = function () {
+            return seed;
+        };
+        layer.buildJSUrls = function () {
+            A.areEqual('foo@app', arguments[0], 'js modules should be supplied');
+            return [{ src: '/app/foo/foo-min.js', integrity: 'sha384-x', crossorigin: 'anonymous' }];
+        };
+        layer.buildCSSUrls = function () {
+            A.areEqual('cssbase', arguments[0], 'css modules should be supplied');
+            return ['/foo.css'];
+        };
+
+        mid = middleware.preload({ js: ['foo@app'], css: ['cssbase'] });
+        mid(req, res, function () {});
+
+        A.areSame(layer, req.yui, 'request layer should be created');
+        A.isUndefined(headers.status, 'headers should not be sent by the middleware');
+
+        // debug overrides applied after the middleware should be honored
+        seed = ['/yui/yui/yui-debug.js'];
+        A.areEqual('written', res.writeHead(200), 'original writeHead should be called');
+        A.areEqual(200, headers.status, 'status should be propagated');
+        A.areSame(writeHead, res.writeHead, 'writeHead should be restored');
+        A.areEqual('</foo.css>; rel=preload; as=style, ' +
+            '</yui/yui/yui-debug.js>; rel=preload; as=script, ' +
+            '</app/foo/foo-min.js>; rel=preload; as=script; crossorigin=anonymous', headers.Link, 'invalid link header');
+    },
+
+    "test nonce": function () {
+        var mid,
+            req = { yui: {} },
+            headers = {},
+            res = {
+                locals: {},
+                setHeader: function (name, value) {
+                    headers[name] = value;
+                }
+            },
             output = {};
 
-        YUITest.Mock.expect(res, {
-            method: 'expose',
-            args: [YUITest.Mock.Value.Any, YUITest.Mock.Value.String],
-            callCount: 3,
-            run: function (data, ns) {
-                output[ns] = data;
+        YUITest.Mock.expect(req.yui, {
+            method: 'config',
+            args: [],
+            returns: { jsAttributes: { charset: 'utf-8' } }
+        });
+        YUITest.Mock.expect(req.yui, {
+            method: 'applyConfig',
+            args: [YUITest.Mock.Value.Object],
+            run: function (config) {
+                output.config = config;
             }
         });
-        YUITest.Mock.expect(req.app.yui, {
-            method: 'getSeedUrls',
+
+        mid = middleware.nonce({ policy: true });
+        mid(req, res, function () { output.ok = 1; });
+
+        A.areEqual(1, output.ok, 'nonce middleware should never stop the flow');
+        A.isString(res.locals.nonce, 'nonce should be exposed to templates');
+        A.isTrue(res.locals.nonce.length > 16, 'nonce should be random');
+        A.areEqual(res.locals.nonce, output.config.jsAttributes.nonce, 'nonce should be stamped on script nodes');
+        A.areEqual('utf-8', output.config.jsAttributes.charset, 'jsAttributes should be preserved');
+        A.areEqual(res.locals.nonce, output.config.cssAttributes.nonce, 'nonce should be stamped on link nodes');
+        A.isTrue(headers['Content-Security-Policy'].indexOf("'nonce-" + res.locals.nonce + "'") > 0,
+            'default policy should be set');
+
+        YUITest.Mock.verify(req.yui);
+    },
+
+    "test nonce with custom generator and policy": function () {
+        var mid,
+            req = {},
+            headers = {},
+            res = {
+                locals: {},
+                setHeader: function (name, value) {
+                    headers[name] = value;
+                }
+            };
+
+        mid = middleware.nonce({
+            generate: function (request, response) {
+                A.areSame(req, request, 'req should be supplied');
+                A.areSame(res, response, 'res should be supplied');
+                return 'abc';
+            },
+            policy: "script-src 'nonce-{{nonce}}'"
+        });
+        mid(req, res, function () {});
+
+        A.areEqual('abc', res.locals.nonce, 'custom nonce should be used');
+        A.areEqual("script-src 'nonce-abc'", headers['Content-Security-Policy'], 'custom policy should be used');
+
+        mid = middleware.nonce();
+        headers = {};
+        res.locals.nonce = 'xyz';
+        mid(req, res, function () {});
+        A.areEqual('xyz', res.locals.nonce, 'existing nonce should be used');
+        A.isUndefined(headers['Content-Security-Policy'], 'policy should be optional');
+    },
+
+    "test debug": function () {
+        var mid,
+            req = { yui: {} },
+            res = {},
+            output = {};
+
+        YUITest.Mock.expect(req.yui, {
+            method: 'applyConfig',
             args: [YUITest.Mock.Value.Object],
             run: function (config) {
                 output.config = config;
-                return 'final-seed';
             }
         });
 
@@ -276,51 +1107,45 @@ suite.add(new YUITest.TestCase({
         A.areEqual(1, output.ok, 'debug middleware should never stop the flow');
         A.areEqual('debug', output.config.filter, 'default filter');
         A.areEqual(false, output.config.combine, 'default combine');
-        A.areEqual('debug', output['window.YUI_config.filter'], 'exposed filter');
-        A.areEqual(false, output['window.YUI_config.combine'], 'exposed combine');
-        A.areEqual('final-seed', output['window.YUI_config.seed'], 'seed shoudl be recomputed');
+        A.areEqual(true, output.config.debug, 'default debug');
+        A.areEqual('debug', output.config.logLevel, 'default logLevel');
+        A.areEqual(true, output.config.useBrowserConsole, 'default useBrowserConsole');
 
-        YUITest.Mock.verify(res.expose);
-        YUITest.Mock.verify(req.app.yui);
+        YUITest.Mock.verify(req.yui);
     },
 
     "test debug with params": function () {
         var mid,
             req = { app: { yui: {} } },
+            layer = {},
             res = {},
             output = {};
 
-        YUITest.Mock.expect(res, {
-            method: 'expose',
-            args: [YUITest.Mock.Value.Any, YUITest.Mock.Value.String],
-            callCount: 3,
-            run: function (data, ns) {
-                output[ns] = data;
-            }
-        });
-        YUITest.Mock.expect(req.app.yui, {
-            method: 'getSeedUrls',
+        req.app.yui.createRequestLayer = function () {
+            return layer;
+        };
+        YUITest.Mock.expect(layer, {
+            method: 'applyConfig',
             args: [YUITest.Mock.Value.Object],
             run: function (config) {
                 output.config = config;
-                return 'final-seed';
             }
         });
 
         mid = middleware.debug({
             filter: 'raw',
-            combine: true
+            combine: true,
+            useBrowserConsole: false
         });
 
         mid(req, res, function () { output.ok = 1; });
 
+        A.areSame(layer, req.yui, 'req.yui should be created by debug');
         A.areEqual('raw', output.config.filter, 'custom filter');
         A.areEqual(true, output.config.combine, 'custom combine');
-        A.areEqual('raw', output['window.YUI_config.filter'], 'custom filter');
-        A.areEqual(true, output['window.YUI_config.combine'], 'custom combine');
+        A.areEqual(false, output.config.useBrowserConsole, 'custom useBrowserConsole');
 
-        YUITest.Mock.verify(res.expose);
-        YUITest.Mock.verify(req.app.yui);
+        YUITest.Mock.verify(layer);
     }
 
 }));
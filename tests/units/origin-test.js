@@ -36,6 +36,7 @@ suite.add(new YUITest.TestCase({
         // cleanup
         delete origin.config;
         delete origin._groupFolderMap;
+        delete origin._groupModulesMap;
         delete origin.addModuleToSeed;
         delete origin.getGroupConfig;
         delete origin._app;
@@ -164,7 +165,7 @@ suite.add(new YUITest.TestCase({
                 moduleVersion: '',
                 moduleConfig: { },
                 groupName: 'testgroup',
-                modules: { }
+                modules: { foo: {} }
             };
         };
         origin.config = function () {
@@ -181,6 +182,7 @@ suite.add(new YUITest.TestCase({
         A.areEqual('/origin/testgroup-a.b.c',
                    origin._groupFolderMap.testgroup,
                    'wrong groupRoot');
+        A.isObject(origin._groupModulesMap.testgroup.foo, 'modules meta should be stored');
         A.areEqual(true, getGroupConfigCalled, 'getGroupConfig was not called');
         A.areEqual(true, addModuleToSeedCalled, 'addModuleToSeed was not called');
 
@@ -0,0 +1,63 @@
+/*
+* Copyright (c) 2013, Yahoo! Inc. All rights reserved.
+* Copyrights licensed under the New BSD License.
+* See the accompanying LICENSE file for terms.
+*/
+
+/*jslint node:true, nomen:true*/
+
+"use strict";
+
+var YUITest = require('yuitest'),
+    A = YUITest.Assert,
+    suite,
+    reload = require('../../lib/reload.js');
+
+suite = new YUITest.TestSuite("reload-test suite");
+
+suite.add(new YUITest.TestCase({
+    name: "reload-test",
+
+    tearDown: function () {
+        // cleanup
+        delete reload._reloadClients;
+    },
+
+    "test notifyReload without browsers": function () {
+        var message = reload.notifyReload('foo', ['/path/to/foo.js']);
+        A.areEqual('foo', message.bundle);
+        A.areEqual('js', message.type);
+    },
+
+    "test notifyReload": function () {
+        var req = {},
+            res = YUITest.Mock(),
+            written,
+            message;
+
+        req.on = function (evt, fn) {
+            A.areEqual('close', evt);
+            req.close = fn;
+        };
+        YUITest.Mock.expect(res, {
+            method: 'write',
+            args: [YUITest.Mock.Value.String],
+            run: function (data) {
+                written = data;
+            }
+        });
+
+        reload._addReloadClient(req, res);
+        A.areEqual(1, reload._reloadClients.length, 'browser should be connected');
+        message = reload.notifyReload('foo', ['/path/to/foo.css', '/path/to/bar.css']);
+        A.areEqual('css', message.type, 'stylesheets should be swapped');
+        YUITest.Mock.verify(res);
+        A.areEqual('event: reload\ndata: ' + JSON.stringify(message) + '\n\n', written);
+
+        req.close();
+        A.areEqual(0, reload._reloadClients.length, 'browser should be disconnected');
+    }
+
+}));
+
+YUITest.TestRunner.add(suite);
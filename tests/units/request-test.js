@@ -0,0 +1,173 @@
+/*
+* Copyright (c) 2013, Yahoo! Inc. All rights reserved.
+* Copyrights licensed under the New BSD License.
+* See the accompanying LICENSE file for terms.
+*/
+
+/*jslint node:true, nomen:true*/
+
+"use strict";
+
+var YUITest = require('yuitest'),
+    A = YUITest.Assert,
+    OA = YUITest.ObjectAssert,
+    suite,
+    utils = require('../../lib/utils.js'),
+    seed = require('../../lib/seed.js'),
+    request = require('../../lib/request.js'),
+    yui,
+    staticConfig;
+
+suite = new YUITest.TestSuite("request-test suite");
+
+suite.add(new YUITest.TestCase({
+    name: "request-test",
+
+    setUp: function () {
+        staticConfig = {
+            seed: ['yui', 'app-meta@app'],
+            base: '/yui/',
+            root: '/yui/',
+            comboBase: '/combo~',
+            comboSep: '~',
+            filter: 'min',
+            combine: true,
+            groups: {
+                app: {
+                    base: '/app/',
+                    root: '/app/',
+                    comboBase: '/combo~',
+                    comboSep: '~',
+                    filter: 'min',
+                    combine: true
+                }
+            }
+        };
+        yui = utils.extend({
+            config: function () {
+                return staticConfig;
+            },
+            applyConfig: function () {
+                this.config.apply(this, Array.prototype.slice.call(arguments));
+                return this;
+            }
+        }, seed, request);
+    },
+
+    tearDown: function () {
+        yui = null;
+        staticConfig = null;
+    },
+
+    "test createRequestLayer": function () {
+        var layer = yui.createRequestLayer(),
+            res = {};
+
+        A.isObject(layer, 'layer should be an object');
+        A.areSame(yui.getSeedUrls, layer.getSeedUrls, 'layer should inherit from app.yui');
+        OA.areEqual(staticConfig.groups.app, layer.config().groups.app, 'layer should inherit the static config');
+        A.areNotSame(staticConfig, layer.config(), 'static config should not be exposed by the layer');
+        A.areSame(res, yui.createRequestLayer(res)._res, 'response should be available to release resources');
+    },
+
+    "test applyConfig": function () {
+        var layer = yui.createRequestLayer(),
+            other = yui.createRequestLayer(),
+            config;
+
+        A.areSame(layer, layer.applyConfig({ lang: 'fr-FR' }), 'applyConfig should be chainable');
+        layer.applyConfig({ groups: { app: { base: '/custom/' } } });
+        config = layer.config();
+
+        A.areEqual('fr-FR', config.lang, 'lang should be overruled');
+        A.areEqual('/custom/', config.groups.app.base, 'group base should be overruled');
+        A.areEqual('/app/', config.groups.app.root, 'group root should be preserved');
+        A.isUndefined(staticConfig.lang, 'static config should not be modified');
+        A.areEqual('/app/', staticConfig.groups.app.base, 'static group should not be modified');
+        A.isUndefined(other.config().lang, 'other layers should not be affected');
+    },
+
+    "test applyGroupConfig": function () {
+        var layer = yui.createRequestLayer();
+
+        A.areSame(layer, layer.applyGroupConfig('app', { combine: false }), 'applyGroupConfig should be chainable');
+        A.isFalse(layer.config().groups.app.combine, 'group combine should be overruled');
+        A.isTrue(staticConfig.groups.app.combine, 'static group should not be modified');
+    },
+
+    "test filter and combine propagation": function () {
+        var layer = yui.createRequestLayer(),
+            config;
+
+        layer.applyConfig({ filter: 'debug', combine: false });
+        layer.applyGroupConfig('app', { filter: 'raw' });
+        config = layer.config();
+
+        A.areEqual('debug', config.filter, 'top level filter');
+        A.isFalse(config.combine, 'top level combine');
+        A.areEqual('raw', config.groups.app.filter, 'group filter should win');
+        A.isFalse(config.groups.app.combine, 'top level combine should be propagated');
+    },
+
+    "test getSeedUrls": function () {
+        var layer = yui.createRequestLayer(),
+            urls;
+
+        urls = layer.getSeedUrls();
+        A.areEqual(1, urls.length, 'seed should be combined');
+        A.areEqual('/combo~/yui/yui/yui-min.js~/app/app-meta/app-meta-min.js', urls[0]);
+
+        layer.applyConfig({ filter: 'debug', combine: false });
+        urls = layer.getSeedUrls();
+        A.areEqual(2, urls.length, 'seed should not be combined');
+        A.areEqual('/yui/yui/yui-debug.js', urls[0]);
+        A.areEqual('/app/app-meta/app-meta-debug.js', urls[1]);
+
+        urls = yui.getSeedUrls();
+        A.areEqual(1, urls.length, 'app.yui should not be affected');
+    },
+
+    "test seed": function () {
+        var layer = yui.createRequestLayer(),
+            urls;
+
+        A.areSame(layer, layer.seed(['yui-base']), 'seed should be chainable');
+        layer.applyConfig({ filter: 'debug' });
+        urls = layer.getSeedUrls();
+
+        A.areEqual(1, urls.length, 'seed should be combined');
+        A.areEqual('/combo~/yui/yui-base/yui-base-debug.js', urls[0], 'seed should be honored by the layer');
+        A.areEqual(2, staticConfig.seed.length, 'static seed should not be modified');
+        A.areEqual(2, yui.createRequestLayer().config().seed.length, 'other layers should not be affected');
+    },
+
+    "test addModuleToSeed": function () {
+        var layer = yui.createRequestLayer(),
+            config;
+
+        A.areSame(layer, layer.addModuleToSeed('foo', 'app'), 'addModuleToSeed should be chainable');
+        config = layer.config();
+
+        A.areEqual('foo@app', config.seed[2], 'module should be added to the seed');
+        A.areEqual('foo', config.extendedCore[0], 'module should be added to the extended core');
+        A.areEqual('/combo~/yui/yui/yui-min.js~/app/app-meta/app-meta-min.js~/app/foo/foo-min.js',
+            layer.getSeedUrls()[0], 'module should be part of the seed urls');
+        A.areEqual(2, staticConfig.seed.length, 'static seed should not be modified');
+        A.isUndefined(staticConfig.extendedCore, 'static extended core should not be modified');
+        A.areEqual('foo', JSON.parse(JSON.stringify(layer)).extendedCore[0], 'extended core should be serialized');
+    },
+
+    "test toJSON": function () {
+        var layer = yui.createRequestLayer(),
+            json;
+
+        layer.applyConfig({ lang: 'es' });
+        json = JSON.parse(JSON.stringify(layer));
+
+        A.areEqual('es', json.lang, 'lang should be serialized');
+        A.areEqual('/app/', json.groups.app.base, 'groups should be serialized');
+    }
+
+}));
+
+YUITest.TestRunner.add(suite);
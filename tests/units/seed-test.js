@@ -23,6 +23,13 @@ suite.add(new YUITest.TestCase({
     },
     tearDown: function () {
         delete seed.config;
+        delete seed.YUI;
+        delete seed._loaderY;
+        delete seed._groupModulesMap;
+        delete seed._groupFolderMap;
+        delete seed._integrityCache;
+        delete seed._app;
+        delete seed.path;
     },
 
     "test getDefaultSeed": function () {
@@ -112,6 +119,149 @@ suite.add(new YUITest.TestCase({
                     'urls[1] does not match');
     },
 
+    "test getSeedUrls() with maxURLLength": function () {
+        var yui_config,
+            urls;
+
+        yui_config = {
+            seed: ['yui', 'foo@app', 'bar@app', 'baz@app'],
+            combine: true,
+            root: '/yui/',
+            comboBase: '/combo~',
+            comboSep: '~',
+            maxURLLength: 1024,
+            groups: {
+                app: {
+                    combine: true,
+                    root: '/app/',
+                    comboBase: '/combo~',
+                    comboSep: '~',
+                    maxURLLength: 50
+                }
+            }
+        };
+        seed.config = function () {
+            return yui_config;
+        };
+
+        urls = seed.getSeedUrls();
+
+        // [ '/combo~/yui/yui/yui-min.js~/app/foo/foo-min.js',
+        //   '/combo~/app/bar/bar-min.js~/app/baz/baz-min.js' ]
+        // console.log(urls);
+        A.areEqual(2, urls.length, 'combo url should be split');
+        A.areEqual('/combo~/yui/yui/yui-min.js~/app/foo/foo-min.js',
+                    urls[0],
+                    'urls[0] does not match');
+        A.areEqual('/combo~/app/bar/bar-min.js~/app/baz/baz-min.js',
+                    urls[1],
+                    'urls[1] does not match');
+
+        yui_config.groups.app.maxURLLength = 30;
+        urls = seed.getSeedUrls();
+
+        // [ '/combo~/yui/yui/yui-min.js',
+        //   '/combo~/app/foo/foo-min.js',
+        //   '/combo~/app/bar/bar-min.js',
+        //   '/combo~/app/baz/baz-min.js' ]
+        A.areEqual(4, urls.length, 'each module should be in its own url');
+        A.areEqual('/combo~/yui/yui/yui-min.js', urls[0], 'urls[0] does not match');
+        A.areEqual('/combo~/app/baz/baz-min.js', urls[3], 'urls[3] does not match');
+    },
+
+    "test buildJSUrls() with maxURLLength per group": function () {
+        var yui_config,
+            urls;
+
+        yui_config = {
+            combine: true,
+            root: '/yui/',
+            comboBase: '/combo~',
+            comboSep: '~',
+            maxURLLength: 50,
+            groups: {
+                app: {
+                    combine: true,
+                    root: '/app/',
+                    comboBase: '/app-combo?',
+                    comboSep: '&'
+                },
+                other: {
+                    combine: true,
+                    root: '/other/',
+                    comboBase: '/other-combo?',
+                    comboSep: '&',
+                    maxURLLength: 2048
+                }
+            }
+        };
+        seed.config = function () {
+            return yui_config;
+        };
+
+        urls = seed.buildJSUrls('dom', 'node', 'oop', 'foo@app', 'bar@app', 'baz@app', 'a@other', 'b@other', 'c@other');
+
+        // console.log(urls);
+        A.areEqual(5, urls.length, 'core and app should be split, other should not');
+        A.areEqual('/combo~/yui/dom/dom-min.js~/yui/node/node-min.js', urls[0], 'core limit');
+        A.areEqual('/combo~/yui/oop/oop-min.js', urls[1], 'core limit');
+        A.areEqual('/app-combo?/app/foo/foo-min.js&/app/bar/bar-min.js', urls[2], 'app should inherit the core limit');
+        A.areEqual('/app-combo?/app/baz/baz-min.js', urls[3], 'app should inherit the core limit');
+        A.areEqual('/other-combo?/other/a/a-min.js&/other/b/b-min.js&/other/c/c-min.js', urls[4], 'other has its own limit');
+        urls.slice(0, 4).forEach(function (url) {
+            A.isTrue(url.length <= 50, 'url is too long: ' + url);
+        });
+    },
+
+    "test buildJSUrls() with integrity": function () {
+        var yuiPath = require('yui').path(),
+            libfs = require('fs'),
+            libpath = require('path'),
+            crypto = require('crypto'),
+            yui_config,
+            expected,
+            urls;
+
+        yui_config = {
+            combine: true,
+            root: '/yui/',
+            comboBase: '/combo~',
+            comboSep: '~',
+            groups: {
+                app: {
+                    combine: false,
+                    base: '/app/'
+                }
+            }
+        };
+        seed.config = function () {
+            return yui_config;
+        };
+        seed.path = yuiPath;
+        seed._groupFolderMap = {
+            app: '/path/to/missing/app'
+        };
+        seed._app = {
+            set: function (name) {
+                return name === 'yui integrity';
+            }
+        };
+
+        urls = seed.buildJSUrls('yui', 'oop', 'foo@app');
+
+        expected = crypto.createHash('sha384');
+        expected.update(libfs.readFileSync(libpath.join(yuiPath, 'yui/yui-min.js')));
+        expected.update(libfs.readFileSync(libpath.join(yuiPath, 'oop/oop-min.js')));
+
+        A.areEqual(2, urls.length, 'core and app should not be combined');
+        A.areEqual('/combo~/yui/yui/yui-min.js~/yui/oop/oop-min.js', urls[0].src, 'combo url');
+        A.areEqual('sha384-' + expected.digest('base64'), urls[0].integrity, 'combo integrity');
+        A.areEqual('anonymous', urls[0].crossorigin, 'crossorigin');
+        A.areEqual('/app/foo/foo-min.js', urls[1].src, 'group url');
+        A.isUndefined(urls[1].integrity, 'missing files should not produce integrity');
+        A.isNotUndefined(seed._integrityCache[seed.DEFAULT_INTEGRITY_ALGORITHM + urls[0].src], 'integrity should be cached');
+    },
+
     "test getSeedUrls()": function () {
         var yui_config;
 
@@ -214,6 +364,92 @@ suite.add(new YUITest.TestCase({
         A.areEqual('/app-base/cssfoo/cssfoo-min.css',
                     urls[1],
                     'urls[1] does not match');
+    },
+
+    "test resolveUrls()": function () {
+        var yui_config,
+            urls;
+
+        yui_config = {
+            base: '/yui/',
+            root: '/yui/',
+            comboBase: '/combo~',
+            comboSep: '~',
+            filter: 'min',
+            combine: true,
+            groups: {
+                app: {
+                    base: '/app/',
+                    root: '/app/',
+                    comboBase: '/combo~',
+                    comboSep: '~',
+                    filter: 'min',
+                    combine: true
+                }
+            }
+        };
+        seed.config = function () {
+            return yui_config;
+        };
+        seed.YUI = require('yui').YUI;
+        seed._groupModulesMap = {
+            app: {
+                'app-home': {
+                    group: 'app',
+                    requires: ['oop', 'app-util', 'app-home-css']
+                },
+                'app-util': {
+                    group: 'app',
+                    requires: ['oop']
+                },
+                'app-home-css': {
+                    group: 'app',
+                    type: 'css'
+                }
+            }
+        };
+
+        urls = seed.resolveUrls(['app-home', 'app-util']);
+
+        // { js: [ '/combo~/yui/yui-base/yui-base-min.js~/yui/oop/oop-min.js~/app/app-util/app-util-min.js~/app/app-home/app-home-min.js' ],
+        //   css: [ '/combo~/app/app-home-css/app-home-css-min.css' ] }
+        // console.log(urls);
+        A.areEqual(1, urls.js.length, 'only one combo url expected');
+        A.areEqual('/combo~/yui/yui-base/yui-base-min.js~/yui/oop/oop-min.js~' +
+            '/app/app-util/app-util-min.js~/app/app-home/app-home-min.js', urls.js[0],
+            'dependencies should be resolved in order and deduped');
+        A.areEqual(1, urls.css.length, 'only one css url expected');
+        A.areEqual('/combo~/app/app-home-css/app-home-css-min.css', urls.css[0]);
+
+        urls = seed.resolveUrls(['app-home'], {
+            filter: 'raw',
+            combine: false
+        });
+
+        A.areEqual(4, urls.js.length, 'combine should be overruled');
+        A.areEqual('/yui/yui-base/yui-base.js', urls.js[0]);
+        A.areEqual('/app/app-home/app-home.js', urls.js[3], 'filter should be overruled for groups');
+        A.areEqual('/app/app-home-css/app-home-css-min.css', urls.css[0], 'loader filters only apply to js');
+        A.isArray(seed._groupModulesMap.app['app-home'].requires, 'original meta should not be modified');
+    },
+
+    "test resolveUrls thru request layers": function () {
+        var layer1,
+            layer2;
+
+        seed.config = function () {
+            return { base: '/yui/', root: '/yui/', combine: false, filter: 'min' };
+        };
+        seed.YUI = require('yui').YUI;
+        seed._app = { yui: seed };
+        layer1 = Object.create(seed);
+        layer2 = Object.create(seed);
+
+        A.areEqual('/yui/oop/oop-min.js', layer1.resolveUrls(['oop']).js[1]);
+        layer2.resolveUrls(['oop']);
+        A.isObject(seed._loaderY, 'loader should be cached by app.yui');
+        A.isFalse(layer1.hasOwnProperty('_loaderY'), 'loader should not be cached by the request layer');
+        A.isFalse(layer2.hasOwnProperty('_loaderY'), 'loader should not be cached by the request layer');
     }
 
 }));
@@ -10,6 +10,10 @@
 
 var YUITest = require('yuitest'),
     A = YUITest.Assert,
+    libfs = require('fs'),
+    libpath = require('path'),
+    tmp = require('tmp'),
+    mockery = require('mockery'),
     OA = YUITest.ObjectAssert,
     suite,
     server = require('../../lib/server.js'),
@@ -29,6 +33,15 @@ suite.add(new YUITest.TestCase({
         delete server.config;
         delete server.YUI;
         delete server._Y;
+        delete server._groupsQueue;
+        delete server._modulesQueue;
+        delete server._app;
+        delete server._YPool;
+        delete server._YVersion;
+        delete server._langYMap;
+        delete server._serverGroups;
+        delete server._groupFolderMap;
+        delete server.path;
         delete server.version;
     },
 
@@ -38,7 +51,7 @@ suite.add(new YUITest.TestCase({
 
     "test attachModules": function () {
         // attaching for the first time
-        server.attachModules('foo', ['baz', 'bar']);
+        server.attachModules(['baz', 'bar']);
         // flagging Env
         server._Y = YUITest.Mock();
         YUITest.Mock.expect(server._Y, {
@@ -50,7 +63,7 @@ suite.add(new YUITest.TestCase({
             }
         });
         // attaching again
-        A.areSame(server, server.attachModules('foo', ['baz', 'bar']), 'server.attachModules should be chainable');
+        A.areSame(server, server.attachModules(['baz', 'bar']), 'server.attachModules should be chainable');
     },
 
     "test registerModules": function () {
@@ -135,13 +148,12 @@ suite.add(new YUITest.TestCase({
         YUITest.Mock.expect(server, {
             method: 'YUI',
             callCount: 1,
-            args: [YUITest.Mock.Value.Object],
-            run: function (c) {
-                A.isTrue(c.useSync, 'useSync is required when running on the server');
+            args: [YUITest.Mock.Value.Object, YUITest.Mock.Value.Object, YUITest.Mock.Value.Object, YUITest.Mock.Value.Object],
+            run: function (c, base, groups, settings) {
+                A.isTrue(settings.useSync, 'useSync is required when running on the server');
                 return Y;
             }
         });
-        server.YUI.applyConfig = function () {};
 
         // first pass
         // setting up groups
@@ -149,7 +161,7 @@ suite.add(new YUITest.TestCase({
             'baz': {},
             'bar': {}
         });
-        server.attachModules('foo', ['baz', 'bar']);
+        server.attachModules(['baz', 'bar']);
         // other mocks
         server._groupFolderMap = {
             'foo': __dirname
@@ -168,7 +180,7 @@ suite.add(new YUITest.TestCase({
             'baz': {},
             'bar': {}
         });
-        server.attachModules('foo', ['baz', 'bar']);
+        server.attachModules(['baz', 'bar']);
 
         result = server.use();
         A.areSame(Y, result);
@@ -207,19 +219,12 @@ suite.add(new YUITest.TestCase({
         YUITest.Mock.expect(server, {
             method: 'YUI',
             callCount: 1,
-            args: [YUITest.Mock.Value.Object],
-            run: function (c) {
-                A.isTrue(c.useSync, 'useSync is required when running on the server');
-                return Y;
-            }
-        });
-        YUITest.Mock.expect(server.YUI, {
-            method: 'applyConfig',
-            args: [YUITest.Mock.Value.Object],
-            run: function (c) {
-                console.log(c);
-                groupFoo = (c.groups && c.groups.foo) || groupFoo;
-                groupBar = (c.groups && c.groups.bar) || groupBar;
+            args: [YUITest.Mock.Value.Object, YUITest.Mock.Value.Object, YUITest.Mock.Value.Object, YUITest.Mock.Value.Object],
+            run: function (c, base, groups, settings) {
+                A.isTrue(settings.useSync, 'useSync is required when running on the server');
+                A.isUndefined(c.groups.foo, 'groups should be added after the original config');
+                groupFoo = groups.groups.foo;
+                groupBar = groups.groups.bar;
                 return Y;
             }
         });
@@ -231,8 +236,8 @@ suite.add(new YUITest.TestCase({
         server.registerModules('bar', {
             'xyz': {}
         });
-        server.attachModules('foo', ['baz']);
-        server.attachModules('bar', ['zyx']);
+        server.attachModules(['baz']);
+        server.attachModules(['xyz']);
         // other mocks
         server._groupFolderMap = {
             'foo': __dirname,
@@ -245,6 +250,454 @@ suite.add(new YUITest.TestCase({
 
         YUITest.Mock.verify(server);
         YUITest.Mock.verify(Y);
+    },
+
+    "test useAsync": function () {
+        var self = this,
+            loadErrorFn = function () {},
+            used;
+
+        // queued before the Y instance gets created
+        server.attachModules(['foo']);
+        server._Y = {
+            config: {
+                loadErrorFn: loadErrorFn
+            },
+            Env: {
+                _missed: ['old']
+            },
+            use: function (modules, callback) {
+                used = modules;
+                A.areSame(0, this.Env._missed.length, 'missing modules from previous calls should be ignored');
+                callback(this, { success: true });
+            }
+        };
+        server.config = function () {
+            return {};
+        };
+
+        A.areSame(server, server.useAsync('bar', function (err, Y) {
+            self.resume(function () {
+                A.isNull(err);
+                A.areSame(server._Y, Y);
+                A.areEqual('foo,bar', used.join(','), 'queued modules should be attached as well');
+                A.areSame(0, server._modulesQueue.length, 'queue should be reset');
+                A.areSame(loadErrorFn, Y.config.loadErrorFn, 'loadErrorFn should be restored');
+            });
+        }), 'server.useAsync should be chainable');
+        self.wait();
+    },
+
+    "test useAsync with missing modules": function () {
+        var self = this;
+
+        server._Y = {
+            config: {},
+            Env: {},
+            use: function (modules, callback) {
+                callback(this, { success: false, msg: 'Missing modules: bar', data: ['foo', 'bar'] });
+            }
+        };
+        server.config = function () {
+            return {};
+        };
+
+        server.useAsync('foo', 'bar', function (err, Y) {
+            self.resume(function () {
+                A.isUndefined(Y);
+                A.areSame('Error attaching modules [foo, bar] on the server side: Missing modules: bar', err.message);
+                A.areEqual('foo,bar', err.modules.join(','));
+                A.areEqual('foo,bar', err.data.join(','));
+            });
+        });
+        self.wait();
+    },
+
+    "test useAsync with loadErrorFn": function () {
+        var self = this,
+            logged;
+
+        server._Y = {
+            config: {
+                loadErrorFn: function (Y, callback, response) {
+                    logged = response;
+                }
+            },
+            Env: {},
+            use: function (modules, callback) {
+                // loader calls loadErrorFn instead of the callback
+                this.config.loadErrorFn.call(this, this, callback, { success: false, msg: '', data: ['baz'] });
+            }
+        };
+        server.config = function () {
+            return {};
+        };
+
+        server.useAsync('baz', function (err, Y) {
+            self.resume(function () {
+                A.isUndefined(Y);
+                A.areSame('Error attaching modules [baz] on the server side: failed to load baz', err.message);
+                A.isObject(logged, 'original loadErrorFn should be called');
+            });
+        });
+        self.wait();
+    },
+
+    "test useAsync with errors attaching modules": function () {
+        var self = this;
+
+        server._Y = {
+            config: {},
+            Env: {},
+            use: function () {
+                throw new Error('bad module');
+            }
+        };
+        server.config = function () {
+            return {};
+        };
+
+        server.useAsync('baz', function (err, Y) {
+            self.resume(function () {
+                A.isUndefined(Y);
+                A.areSame('bad module', err.message);
+            });
+        });
+        self.wait();
+    },
+
+    "test use per request": function () {
+        var EventEmitter = require('events').EventEmitter,
+            settings = { 'yui server instances': 'request' },
+            created = [],
+            res = new EventEmitter(),
+            layer,
+            Y;
+
+        function mockY() {
+            return {
+                used: [],
+                Env: { _attached: {} },
+                use: function (modules) {
+                    var Y = this;
+                    this.used = this.used.concat(modules);
+                    [].concat(modules).forEach(function (name) {
+                        Y.Env._attached[name] = true;
+                    });
+                },
+                applyConfig: function () {}
+            };
+        }
+
+        server._app = {
+            yui: server,
+            set: function (name) {
+                return settings[name];
+            }
+        };
+        server.config = function () {
+            return {};
+        };
+        server.YUI = function (config, base, groups) {
+            var Y = mockY();
+            Y.groups = groups;
+            created.push(Y);
+            return Y;
+        };
+        server._serverGroups = { foo: {} };
+
+        A.areSame(server.use('foo'), server._Y, 'app.yui.use() should use the shared instance');
+
+        layer = Object.create(server);
+        layer._res = res;
+        Y = layer.use('bar');
+        A.areNotSame(server._Y, Y, 'req.yui.use() should use a new instance');
+        A.isTrue(server._Y.Env._attached.bar, 'modules should be attached into the shared instance');
+        A.areEqual('foo,bar', Y.used.join(','), 'modules attached into the shared instance should be reused');
+        A.isObject(Y.groups.groups.foo, 'groups should be applied into the new instance');
+        A.areSame(Y, layer.use(), 'the same instance should be used during the request');
+
+        res.emit('finish');
+        A.areSame(0, server._YPool.length, 'instances per request should not be pooled');
+        A.areNotSame(Y, layer.use(), 'a new instance should be used after the response finishes');
+        A.areSame(3, created.length);
+    },
+
+    "test use per request with errors": function () {
+        var EventEmitter = require('events').EventEmitter,
+            shared = {
+                Env: { _attached: {} },
+                use: function () {},
+                applyConfig: function () {}
+            },
+            layer = Object.create(server);
+
+        server._app = {
+            yui: server,
+            set: function (name) {
+                return name === 'yui server instances' ? 'request' : undefined;
+            }
+        };
+        server.config = function () {
+            return {};
+        };
+        server._Y = shared;
+        server.YUI = function () {
+            throw new Error('unable to create Y');
+        };
+        layer._res = new EventEmitter();
+
+        A.throwsError('unable to create Y', function () {
+            layer.use('foo');
+        }, 'the shared Y instance should never be used as a fallback');
+        A.areSame(shared, server.use('foo'), 'app.yui.use() should use the shared instance');
+
+        // apps without settings should use the shared instance
+        server._app = { yui: server };
+        A.areSame(shared, layer.use('foo'));
+    },
+
+    "test use with pool": function () {
+        var EventEmitter = require('events').EventEmitter,
+            settings = { 'yui server instances': 'pool', 'yui server pool size': 1 },
+            layers = [],
+            Y1,
+            Y2;
+
+        function createLayer() {
+            var layer = Object.create(server);
+            layer._res = new EventEmitter();
+            layers.push(layer);
+            return layer;
+        }
+
+        server._app = {
+            yui: server,
+            set: function (name) {
+                return settings[name];
+            }
+        };
+        server.config = function () {
+            return {};
+        };
+        server.YUI = function () {
+            return {
+                Env: { _attached: {} },
+                use: function () {},
+                applyConfig: function () {}
+            };
+        };
+
+        Y1 = createLayer().use();
+        Y2 = createLayer().use();
+        A.areNotSame(Y1, Y2, 'concurrent requests should not share instances');
+        layers[0]._res.emit('finish');
+        layers[1]._res.emit('close');
+        A.areSame(1, server._YPool.length, 'the pool should honor `yui server pool size`');
+        A.areSame(Y1, createLayer().use(), 'instances should be taken from the pool');
+        layers[2]._res.emit('finish');
+
+        // registering new groups should invalidate the instances in the pool
+        server._YVersion += 1;
+        A.areNotSame(Y1, createLayer().use(), 'outdated instances should be discarded');
+        A.areSame(0, server._YPool.length);
+    },
+
+    "test _langY": function () {
+        var shared = {
+                Env: { _attached: { foo: true } },
+                use: function () {},
+                applyConfig: function () {}
+            },
+            created = [],
+            layer = Object.create(server),
+            Y;
+
+        server._app = { yui: server };
+        server.config = function () {
+            return { lang: 'en-US' };
+        };
+        server.YUI = function (config, base, groups) {
+            var Y = {
+                config: config,
+                groups: groups,
+                used: [],
+                use: function (modules) {
+                    this.used = this.used.concat(modules);
+                }
+            };
+            created.push(Y);
+            return Y;
+        };
+        server._serverGroups = { app: {} };
+
+        A.areSame(shared, server._langY(shared), 'the shared instance should be used without lang');
+        A.areSame(shared, server._langY(shared, 'en-US'), 'the shared instance should be used for the default lang');
+
+        Y = layer._langY(shared, 'fr-FR');
+        A.areNotSame(shared, Y, 'a new instance should be used for other languages');
+        A.areEqual('fr-FR', Y.config.lang, 'the instance should be configured for the language');
+        A.isObject(Y.groups.groups.app, 'groups should be applied into the new instance');
+        A.areEqual('foo', Y.used.join(','), 'modules attached into the shared instance should be attached');
+        A.areSame(server._langYMap['fr-FR'].Y, Y, 'instances should belong to app.yui');
+        A.areSame(Y, server._langY(shared, 'fr-FR'), 'instances should be reused per language');
+
+        // registering new groups should invalidate the instances
+        server._YVersion = (server._YVersion || 0) + 1;
+        A.areNotSame(Y, server._langY(shared, 'fr-FR'), 'outdated instances should be discarded');
+        A.areSame(2, created.length);
+    },
+
+    "test reloadModules": function () {
+        var self = this,
+            yui = require('yui');
+
+        // creating a unique and temporary folder with the modules of the group
+        tmp.dir(function (err, path) {
+            var Y;
+
+            function write(name, body, requires) {
+                if (!libfs.existsSync(libpath.join(path, name))) {
+                    libfs.mkdirSync(libpath.join(path, name));
+                }
+                libfs.writeFileSync(libpath.join(path, name, name + '.js'), 'YUI.add("' + name + '", function (Y) { ' +
+                    body + ' }, "", { requires: ' + JSON.stringify(requires) + ' });');
+            }
+
+            if (err || !path) {
+                A.fail('unable to create a temporary folder to test');
+            }
+
+            write('reload-a', 'Y.reloadA = 1;', []);
+            write('reload-b', 'Y.reloadB = Y.reloadA + 1;', ['reload-a']);
+            write('reload-c', 'Y.reloadC = Y.reloadB + 1;', ['reload-b']);
+            write('reload-d', 'Y.reloadD = (Y.reloadD || 0) + 1;', []);
+
+            server.YUI = yui.YUI;
+            server.version = yui.YUI.version;
+            server.path = yui.path();
+            server.config = function () {
+                return {
+                    filter: 'raw',
+                    groups: {
+                        app: {}
+                    }
+                };
+            };
+            server._groupFolderMap = {
+                app: path
+            };
+            server.registerModules('app', {
+                'reload-a': {},
+                'reload-b': { requires: ['reload-a'] },
+                'reload-c': { requires: ['reload-b'] },
+                'reload-d': {}
+            });
+
+            self.resume(function () {
+                Y = server.use('reload-c', 'reload-d');
+                A.areSame(3, Y.reloadC);
+
+                write('reload-a', 'Y.reloadA = 10;', []);
+                A.areEqual('reload-a,reload-b,reload-c', server.reloadModules(['reload-a']).join(','),
+                    'every module depending on reload-a should be refreshed');
+                A.areSame(12, Y.reloadC, 'new version of reload-a should be used by its dependents');
+                A.areSame(1, Y.reloadD, 'modules that do not depend on reload-a should not be refreshed');
+
+                A.areEqual('reload-d', server.reloadModules('reload-d').join(','));
+                A.areSame(2, Y.reloadD);
+                A.areSame(0, server.reloadModules('reload-x').length, 'unknown modules should be ignored');
+
+                write('reload-b', 'throw new Error("invalid module");', ['reload-a']);
+                A.throwsError('invalid module', function () {
+                    server.reloadModules('reload-b');
+                });
+
+                // registering the group again should invalidate the dependents too
+                write('reload-b', 'Y.reloadB = Y.reloadA + 1;', ['reload-a']);
+                server.use('reload-c');
+                server.registerModules('app', {
+                    'reload-a': {},
+                    'reload-b': { requires: ['reload-a'] }
+                });
+                A.isUndefined(Y.Env._attached['reload-c'], 'dependents should be invalidated by registerModules');
+                A.isTrue(Y.Env._attached['reload-d'], 'other modules should remain attached');
+            });
+        });
+        self.wait();
+    },
+
+    "test apps with the same module name": function () {
+        var self = this,
+            ExpressYUI;
+
+        // a clean copy of `lib/yui.js` to avoid interfering with the mocks of other suites
+        mockery.enable({
+            useCleanCache: true,
+            warnOnReplace: false,
+            warnOnUnregistered: false
+        });
+        ExpressYUI = require('../../lib/yui.js');
+
+        tmp.dir(function (err, path) {
+            var admin,
+                pub;
+
+            function write(app, value) {
+                libfs.writeFileSync(libpath.join(path, app, 'same', 'same.js'),
+                    'YUI.add("same", function (Y) { Y.same = "' + value + '"; });');
+            }
+
+            function create(app) {
+                var yui = new ExpressYUI({});
+                libfs.mkdirSync(libpath.join(path, app));
+                libfs.mkdirSync(libpath.join(path, app, 'same'));
+                write(app, app);
+                yui.applyConfig({
+                    filter: 'raw',
+                    groups: {
+                        app: {}
+                    }
+                });
+                yui._groupFolderMap = {
+                    app: libpath.join(path, app)
+                };
+                yui.registerModules('app', {
+                    same: {}
+                });
+                return yui;
+            }
+
+            if (err || !path) {
+                A.fail('unable to create a temporary folder to test');
+            }
+
+            admin = create('admin');
+            pub = create('pub');
+
+            self.resume(function () {
+                try {
+                    A.areNotSame(admin.YUI, pub.YUI, 'each app should have its own YUI global');
+                    A.areEqual('admin', admin.use('same').same, 'admin should attach its own module');
+                    A.areEqual('pub', pub.use('same').same, 'pub should attach its own module');
+
+                    write('admin', 'admin-2');
+                    admin.reloadModules('same');
+                    A.areEqual('admin-2', admin.use('same').same, 'admin should attach the new version');
+                    A.areEqual('pub', pub.use('same').same, 'pub should not be affected by admin');
+                    A.isObject(pub.YUI.Env.mods.same, 'pub modules should not be invalidated by admin');
+                } finally {
+                    mockery.disable();
+                }
+            });
+        });
+        self.wait();
+    },
+
+    "test useAsync without callback": function () {
+        A.throwsError('A callback function is required by `app.yui.useAsync()`.', function () {
+            server.useAsync('foo');
+        });
     }
 
 }));
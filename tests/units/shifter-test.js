@@ -12,12 +12,12 @@ var YUITest = require('yuitest'),
     A = YUITest.Assert,
     OA = YUITest.ObjectAssert,
     libpath = require('path'),
-    mockery = require('mockery'),
+    libfs = require('fs'),
+    libmkdirp = require('mkdirp'),
+    EventEmitter = require('events').EventEmitter,
     tmp = require('tmp'),
     suite,
     shifter,
-    childMockFn,
-    mockspawn,
     fixture = libpath.join(__dirname, '..', 'fixtures'),
     tmpFolder = function () {
         var tmpNames = [ 'TMPDIR', 'TMP', 'TEMP' ],
@@ -30,15 +30,19 @@ var YUITest = require('yuitest'),
         return '/tmp'; // fallback to the default
     };
 
-// mocking win-spawn
-mockspawn = function () {
-    return childMockFn.apply(this, arguments);
-};
-mockery.registerMock('win-spawn', mockspawn);
-mockery.enable({
-    warnOnReplace: false,
-    warnOnUnregistered: false
-});
+// mocking a worker process, `reply` will be called for every file sent to it
+function mockWorker(reply) {
+    var worker = new EventEmitter();
+    worker.tasks = [];
+    worker.send = function (task) {
+        worker.tasks.push(task);
+        reply(worker, task);
+    };
+    worker.disconnect = function () {
+        worker.disconnected = true;
+    };
+    return worker;
+}
 
 // forcing mode to be development
 process.env.NODE_ENV = 'development';
@@ -57,6 +61,7 @@ suite.add(new YUITest.TestCase({
 
     tearDown: function () {
         // unregister mocks
+        delete shifter._forkShifterWorker;
     },
 
     "test constructor": function () {
@@ -104,90 +109,223 @@ suite.add(new YUITest.TestCase({
     },
 
     "test shiftFiles without files": function () {
-        var result,
-            child = YUITest.Mock();
-        YUITest.Mock.expect(child, {
-            method: 'on',
-            callCount: 0
-        });
-        childMockFn = function () {
-            return child;
+        var forked = 0;
+        shifter._forkShifterWorker = function () {
+            forked += 1;
         };
         shifter.shiftFiles([], { buildDir: tmpFolder() }, function (err) {
             A.isNull(err, 'not error is expected');
         });
-        YUITest.Mock.verify(child);
+        A.areEqual(0, forked, 'workers should not be forked without files');
     },
 
     "test shiftFiles with js files": function () {
-        var child = YUITest.Mock(),
-            files = [libpath.join(fixture, 'app-module.js'), libpath.join(fixture, 'metas.js')];
-        YUITest.Mock.expect(child, {
-            method: 'on',
-            args: ['exit', YUITest.Mock.Value.Function],
-            callCount: 2,
-            run: function (evt, fn) {
-                fn();
-            }
-        });
-        childMockFn = function (command, args) {
-            A.areSame('something', args[args.length - 2]);
-            A.areSame('another', args[args.length - 1]);
-            A.isTrue(args.indexOf('--yui-module') >= 0);
-            return child;
+        var files = [libpath.join(fixture, 'app-module.js'), libpath.join(fixture, 'metas.js')],
+            workers = [],
+            error;
+        shifter._forkShifterWorker = function () {
+            var worker = mockWorker(function (worker, task) {
+                worker.emit('message', { code: 0 });
+            });
+            workers.push(worker);
+            return worker;
         };
         shifter.shiftFiles(files, {
             buildDir: tmpFolder(),
-            args: ['something', 'another']
+            args: ['something', 'another'],
+            concurrency: 1
         }, function (err) {
-            A.isNull(err, 'no error is expected');
+            error = err;
         });
-        YUITest.Mock.verify(child);
+        A.isNull(error, 'no error is expected');
+        A.areEqual(1, workers.length, 'the worker should be reused');
+        A.areEqual(files.join(), workers[0].tasks.map(function (task) {
+            return task.file;
+        }).join(), 'every file should be shifted in order');
+        A.areEqual(tmpFolder(), workers[0].tasks[0].buildDir);
+        A.areEqual('something,another', workers[0].tasks[0].args.join());
+        A.isTrue(workers[0].disconnected, 'the worker should be disconnected once the queue is empty');
     },
 
     "test shiftFiles with build.json": function () {
-        var child = YUITest.Mock(),
-            files = [libpath.join(fixture, 'mod-valid1/build.json')];
-        YUITest.Mock.expect(child, {
-            method: 'on',
-            args: ['exit', YUITest.Mock.Value.Function],
-            callCount: 1,
-            run: function (evt, fn) {
-                fn();
-            }
+        var file = libpath.join(fixture, 'mod-valid1/build.json'),
+            worker = mockWorker(function (worker, task) {
+                worker.emit('message', { code: 0 });
+            }),
+            error;
+        shifter._forkShifterWorker = function () {
+            return worker;
+        };
+        shifter.shiftFiles([file], {
+            buildDir: tmpFolder()
+        }, function (err) {
+            error = err;
+        });
+        A.isNull(error, 'no error is expected');
+        A.areEqual(file, worker.tasks[0].file);
+        A.areEqual(0, worker.tasks[0].args.length, 'args should default to an empty list');
+    },
+
+    "test shiftFiles with exit code": function () {
+        var error;
+        shifter._forkShifterWorker = function () {
+            return mockWorker(function (worker, task) {
+                worker.emit('message', { code: 1 });
+            });
+        };
+        shifter.shiftFiles([libpath.join(fixture, 'app-module.js')], { buildDir: tmpFolder() }, function (err) {
+            error = err;
+        });
+        A.isObject(error, 'error is expected to bubble up from the worker');
+        A.areEqual(1, error.code);
+    },
+
+    "test shiftFiles with exit code and output": function () {
+        var error;
+        shifter._forkShifterWorker = function () {
+            return mockWorker(function (worker, task) {
+                worker.emit('message', {
+                    code: 2,
+                    output: 'Syntax error in foo.js',
+                    stdout: '',
+                    stderr: 'Syntax error in foo.js'
+                });
+            });
+        };
+        shifter.shiftFiles([libpath.join(fixture, 'app-module.js')], { buildDir: tmpFolder() }, function (err) {
+            error = err;
+        });
+        A.areEqual('Syntax error in foo.js', error.output, 'output should be collected');
+        A.areEqual(libpath.join(fixture, 'app-module.js'), error.file, 'file should be reported');
+        A.areEqual(2, error.code, 'exit code should be reported');
+    },
+
+    "test shiftFiles with worker failures": function () {
+        var files = [libpath.join(fixture, 'app-module.js'), libpath.join(fixture, 'metas.js')],
+            forked = 0,
+            error;
+        shifter._forkShifterWorker = function () {
+            forked += 1;
+            return mockWorker(function (worker, task) {
+                if (task.file === files[0]) {
+                    // the worker dies while shifting the file
+                    worker.emit('exit', 3);
+                } else {
+                    worker.emit('message', { code: 0 });
+                }
+            });
+        };
+        shifter.shiftFiles(files, { buildDir: tmpFolder(), concurrency: 1 }, function (err) {
+            error = err;
         });
-        childMockFn = function (command, args) {
-            A.areSame('something', args[args.length - 2]);
-            A.areSame('another', args[args.length - 1]);
-            A.isTrue(args.indexOf('--config') >= 0);
-            return child;
+        A.areEqual(2, forked, 'a new worker should be forked for the rest of the files');
+        A.areEqual(1, error.errors.length, 'only the file being shifted should fail');
+        A.areEqual(files[0], error.file);
+        A.areEqual(3, error.code, 'exit code should be reported');
+    },
+
+    "test shiftFiles with concurrency": function () {
+        var self = this,
+            files = [libpath.join(fixture, 'app-module.js'), libpath.join(fixture, 'metas.js'),
+                libpath.join(fixture, 'mod-valid1/build.json')],
+            running = 0,
+            maxRunning = 0,
+            forked = 0,
+            shifted = 0;
+        shifter._forkShifterWorker = function () {
+            forked += 1;
+            return mockWorker(function (worker, task) {
+                var delay = 30 - (shifted * 10);
+                shifted += 1;
+                running += 1;
+                maxRunning = Math.max(maxRunning, running);
+                setTimeout(function () {
+                    running -= 1;
+                    // every file but build.json will fail, the first one will fail last
+                    worker.emit('message', { code: libpath.extname(task.file) === '.js' ? 1 : 0 });
+                }, delay);
+            });
         };
         shifter.shiftFiles(files, {
             buildDir: tmpFolder(),
-            args: ['something', 'another']
+            concurrency: 2
         }, function (err) {
-            A.isNull(err, 'no error is expected');
+            self.resume(function () {
+                A.areEqual(3, shifted, 'a failure should not stop the queue');
+                A.areEqual(2, forked, 'one worker per slot should be forked');
+                A.areEqual(2, maxRunning, 'concurrency should be honored');
+                A.areEqual(2, err.errors.length, 'every failure should be reported');
+                A.areEqual(files[0], err.file, 'failures should be reported in order');
+                A.areEqual(files[1], err.errors[1].file, 'failures should be reported in order');
+            });
         });
-        YUITest.Mock.verify(child);
+        this.wait();
     },
 
-    "test shiftFiles with exit code": function () {
-        var child = YUITest.Mock();
-        YUITest.Mock.expect(child, {
-            method: 'on',
-            args: ['exit', YUITest.Mock.Value.Function],
-            callCount: 1,
-            run: function (evt, fn) {
-                fn(1);
-            }
+    "test shiftFiles with diagnostics": function () {
+        var file = libpath.join(fixture, 'app-module.js'),
+            error,
+            diagnostics;
+        shifter._forkShifterWorker = function () {
+            return mockWorker(function (worker, task) {
+                worker.emit('message', {
+                    code: 1,
+                    stderr: 'shifter [err] /build/foo/foo.js contains 2 lint errors\n' +
+                        'shifter [err] compression failed\nshifter [err] dropped the clutch, build failed\n',
+                    stdout: 'shifter [info] shifting foo\n   #1: Missing semicolon.\n' +
+                        '       var a = 1 // line 3, pos 10\n   #2: Unused variable.\n' +
+                        '       Unexpected token eof // line 7, pos 1\n'
+                });
+            });
+        };
+        shifter.shiftFiles([file], { buildDir: tmpFolder() }, function (err, list) {
+            error = err;
+            diagnostics = list;
         });
-        childMockFn = function (command, args) {
-            return child;
+        A.areSame(diagnostics, error.diagnostics, 'diagnostics should be attached to the error');
+        A.areEqual(3, diagnostics.length);
+        A.areEqual(JSON.stringify({
+            file: '/build/foo/foo.js',
+            line: 3,
+            column: 10,
+            message: 'Missing semicolon.',
+            severity: 'warning'
+        }), JSON.stringify(diagnostics[0]));
+        A.areEqual('/build/foo/foo.js', diagnostics[1].file);
+        A.isNull(diagnostics[1].line, 'lint errors without evidence should not have line');
+        A.areEqual(JSON.stringify({
+            file: file,
+            line: 7,
+            column: 1,
+            message: 'Unexpected token eof',
+            severity: 'error'
+        }), JSON.stringify(diagnostics[2]));
+    },
+
+    "test shiftFiles with failOnWarnings": function () {
+        var emitted,
+            error;
+        shifter._forkShifterWorker = function () {
+            return mockWorker(function (worker, task) {
+                worker.emit('message', {
+                    code: 0,
+                    stdout: '   #1: [warning] Unknown property.\n'
+                });
+            });
         };
-        shifter.shiftFiles([libpath.join(fixture, 'app-module.js')], { buildDir: tmpFolder() }, function (err) {
-            A.isObject(err, 'error is expected to bubble up from spawn');
+        shifter.emit = function (name, list) {
+            emitted = list;
+        };
+        shifter.shiftFiles([libpath.join(fixture, 'app-module.js')], {
+            buildDir: tmpFolder(),
+            failOnWarnings: true
+        }, function (err) {
+            error = err;
         });
-        YUITest.Mock.verify(child);
+        delete shifter.emit;
+        A.isObject(error, 'warnings should fail the build');
+        A.areEqual(0, error.code);
+        A.areEqual('Unknown property.', emitted[0].message, 'diagnostics should be emitted');
     },
 
     "test _isCached": function () {
@@ -202,7 +340,79 @@ suite.add(new YUITest.TestCase({
                 A.isFalse(shifter._isCached(libpath.join(fixture, 'app-module.js'), path), 'first call');
                 A.isTrue(shifter._isCached(libpath.join(fixture, 'app-module.js'), path), 'second call after caching it');
                 A.isFalse(shifter._isCached(libpath.join(fixture, 'mod-valid1/build.json'), path), 'first call for a json file');
-                A.isFalse(shifter._isCached(libpath.join(fixture, 'mod-valid1/build.json'), path), 'second call for a json ile');
+                A.isTrue(shifter._isCached(libpath.join(fixture, 'mod-valid1/build.json'), path), 'second call for a json file');
+            });
+        });
+        this.wait();
+    },
+
+    "test _isCached with args and verify": function () {
+        var self = this,
+            file = libpath.join(fixture, 'app-module.js');
+
+        // creating a unique and temporary folder to validate the cache mechanism
+        tmp.dir(function (err, path) {
+            self.resume(function () {
+                if (err || !path) {
+                    A.fail('unable to create a temporary folder to test');
+                }
+                A.isFalse(shifter._isCached(file, path, ['--no-lint']), 'first call');
+                A.isTrue(shifter._isCached(file, path, ['--no-lint', '--silent']), 'silent mode should not invalidate the cache');
+                A.isFalse(shifter._isCached(file, path, ['--lint']), 'new args should invalidate the cache');
+                A.isTrue(shifter._isCached(file, path, ['--lint']), 'second call with the new args');
+                A.isFalse(shifter._isCached(file, path, ['--lint'], true), 'missing output files should invalidate the cache');
+                libmkdirp.sync(libpath.join(path, 'app-module'));
+                ['.js', '-min.js', '-debug.js'].forEach(function (suffix) {
+                    libfs.writeFileSync(libpath.join(path, 'app-module', 'app-module' + suffix), '');
+                });
+                A.isTrue(shifter._isCached(file, path, ['--lint'], true), 'output files should be verified');
+            });
+        });
+        this.wait();
+    },
+
+    "test _buildFileInputs": function () {
+        var dir = libpath.join(fixture, 'mod-valid1');
+        A.areEqual([
+            libpath.join(dir, 'build.json'),
+            libpath.join(dir, 'js', 'foo.js'),
+            libpath.join(dir, 'js', 'bar.js'),
+            libpath.join(dir, 'meta', 'bar.json'),
+            libpath.join(dir, 'meta', 'condtest.js')
+        ].join(), shifter._buildFileInputs(libpath.join(dir, 'build.json')).join());
+        A.isUndefined(shifter._buildFileInputs(libpath.join(fixture, 'app-module.js')),
+            'invalid build.json files should not have inputs');
+    },
+
+    "test _isCached with build.json": function () {
+        var self = this;
+
+        // creating a unique and temporary folder to simulate the build.json module
+        tmp.dir(function (err, path) {
+            self.resume(function () {
+                var modDir = libpath.join(path, 'foo'),
+                    buildDir = libpath.join(path, 'build'),
+                    file = libpath.join(modDir, 'build.json');
+                if (err || !path) {
+                    A.fail('unable to create a temporary folder to test');
+                }
+                libmkdirp.sync(libpath.join(modDir, 'js'));
+                libmkdirp.sync(libpath.join(modDir, 'meta'));
+                libfs.writeFileSync(file, JSON.stringify({
+                    name: 'foo',
+                    builds: { foo: { jsfiles: ['foo.js'] } }
+                }));
+                libfs.writeFileSync(libpath.join(modDir, 'js', 'foo.js'), 'var foo = 1;');
+                libfs.writeFileSync(libpath.join(modDir, 'meta', 'foo.json'), '{}');
+                A.isFalse(shifter._isCached(file, buildDir), 'first call');
+                A.isTrue(shifter._isCached(file, buildDir), 'second call without changes');
+                libfs.writeFileSync(libpath.join(modDir, 'js', 'foo.js'), 'var foo = 2;');
+                A.isFalse(shifter._isCached(file, buildDir), 'changes in jsfiles should invalidate the cache');
+                libfs.writeFileSync(libpath.join(modDir, 'meta', 'foo.json'), '{"foo":{}}');
+                A.isFalse(shifter._isCached(file, buildDir), 'changes in meta files should invalidate the cache');
+                A.isFalse(shifter._isCached(file, buildDir, [], true), 'missing output should invalidate the cache');
+                libmkdirp.sync(libpath.join(buildDir, 'foo'));
+                A.isTrue(shifter._isCached(file, buildDir, [], true), 'output should be verified');
             });
         });
         this.wait();
@@ -20,12 +20,19 @@ suite.add(new YUITest.TestCase({
     name: "view-test",
 
     setUp: function () {
-        // nothing
+        view.useAsync = function (callback) {
+            callback(null, this.use());
+        };
+        view._langY = function (Y, lang) {
+            return Y;
+        };
     },
 
     tearDown: function () {
         // unregister mocks
         delete view.use;
+        delete view.useAsync;
+        delete view._langY;
         delete view.YUI;
     },
 
@@ -67,6 +74,81 @@ suite.add(new YUITest.TestCase({
         A.areSame('output', value);
     },
 
+    "test render with lang": function () {
+        view.use = function () {
+            return {
+                Template: {
+                    _cache: {
+                        'bundleName/foo': function () {
+                            return 'output';
+                        },
+                        'bundleName/foo_fr': function () {
+                            return 'sortie';
+                        }
+                    }
+                }
+            };
+        };
+        var ViewClass = view.view({
+                defaultBundle: 'bundleName'
+            }),
+            values = [];
+
+        ['fr-FR', 'fr', 'es', undefined].forEach(function (lang) {
+            new ViewClass('foo').render({
+                lang: lang
+            }, function (err, data) {
+                A.isNull(err);
+                values.push(data);
+            });
+        });
+        A.areEqual('sortie,sortie,output,output', values.join(','), 'lang specific templates should have precedence');
+    },
+
+    "test render with lang and partials": function () {
+        var shared = { Template: { _cache: {} } },
+            langs = [],
+            cache = {
+                'app/page': function (data, options) {
+                    var header = (options && options.partials && options.partials.header) || cache['app/header'];
+                    return header(data) + '|' + data.title;
+                },
+                'app/header': function () {
+                    return 'header';
+                },
+                'app/header_fr': function () {
+                    return 'entete';
+                }
+            },
+            ViewClass,
+            values = [];
+
+        view.use = function () {
+            return shared;
+        };
+        view._langY = function (Y, lang) {
+            A.areSame(shared, Y, 'the shared instance should be provided');
+            langs.push(lang);
+            // templates are attached into the instance for the lang
+            return { Template: { _cache: cache } };
+        };
+        ViewClass = view.view({
+            defaultBundle: 'app'
+        });
+
+        ['fr-FR', undefined].forEach(function (lang) {
+            new ViewClass('page').render({
+                lang: lang,
+                title: 'foo'
+            }, function (err, data) {
+                A.isNull(err);
+                values.push(data);
+            });
+        });
+        A.areEqual('entete|foo,header|foo', values.join(','), 'lang specific partials should have precedence');
+        A.areEqual('fr-FR', langs[0], 'templates should be looked up from the instance for the lang');
+    },
+
     "test layout": function () {
         view.use = function () {
             return {
@@ -94,19 +176,69 @@ suite.add(new YUITest.TestCase({
         A.areSame('output+layout', value);
     },
 
+    "test views per app": function () {
+        function mockApp(output) {
+            var yui = Object.create(view);
+            yui.use = function () {
+                return {
+                    Template: {
+                        _cache: {
+                            'app/foo': function () {
+                                return output;
+                            }
+                        }
+                    }
+                };
+            };
+            return yui;
+        }
+        var AdminView = mockApp('admin').view({ defaultBundle: 'app' }),
+            PublicView = mockApp('public').view({ defaultBundle: 'app' }),
+            values = [];
+
+        A.areNotSame(AdminView, PublicView, 'each call should produce a new view class');
+        [AdminView, PublicView, AdminView].forEach(function (ViewClass) {
+            new ViewClass('foo').render({}, function (err, data) {
+                A.isNull(err);
+                values.push(data);
+            });
+        });
+        A.areEqual('admin,public,admin', values.join(','), 'views should render from their own app');
+        A.areSame('foo', new AdminView('foo').path);
+        A.isTrue(new AdminView('foo') instanceof Object.getPrototypeOf(PublicView.prototype).constructor,
+            'views should share the base View class');
+    },
+
     "test invalid template": function () {
         view.use = function () {
             return {};
         };
-        var ViewClass = view.view({});
-        A.throwsError('Error trying to access template `foo` from bundle `bundleName`; make sure the template was compiled correctly.', function () {
-            new ViewClass('foo').render({
-                bundle: 'bundleName'
-            }, function (err, data) {
-                A.isObject(err);
-                A.isUndefined(data);
-            });
+        var ViewClass = view.view({}),
+            error;
+        new ViewClass('foo').render({
+            bundle: 'bundleName'
+        }, function (err, data) {
+            error = err;
+            A.isUndefined(data);
+        });
+        A.areSame('Error trying to access template `foo` from bundle `bundleName`; ' +
+            'make sure the template was compiled correctly.', error.message);
+    },
+
+    "test render with loader error": function () {
+        var ViewClass = view.view({ defaultBundle: 'bundleName' }),
+            error;
+        view.use = function () {
+            A.fail('templates should not be looked up if the modules failed to attach');
+        };
+        view.useAsync = function (callback) {
+            callback(new Error('Missing modules: foo'));
+        };
+        new ViewClass('foo').render({}, function (err, data) {
+            error = err;
+            A.isUndefined(data);
         });
+        A.areSame('Missing modules: foo', error.message);
     }
 
 }));
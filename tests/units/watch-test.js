@@ -0,0 +1,82 @@
+/*
+* Copyright (c) 2013, Yahoo! Inc. All rights reserved.
+* Copyrights licensed under the New BSD License.
+* See the accompanying LICENSE file for terms.
+*/
+
+/*jslint node:true, nomen:true*/
+
+"use strict";
+
+var YUITest = require('yuitest'),
+    A = YUITest.Assert,
+    libfs = require('fs'),
+    libpath = require('path'),
+    tmp = require('tmp'),
+    suite,
+    utils = require('../../lib/utils.js'),
+    loader = require('../../lib/loader.js'),
+    shifter = require('../../lib/shifter.js'),
+    watch = require('../../lib/watch.js');
+
+suite = new YUITest.TestSuite("watch-test suite");
+
+suite.add(new YUITest.TestCase({
+    name: "watch-test",
+
+    "test watch": function () {
+        var self = this,
+            yui = utils.extend({}, loader, shifter, watch),
+            registered = [],
+            calls = 0;
+
+        yui.shiftFiles = function (files, options, callback) {
+            callback(null);
+        };
+        yui.registerGroup = function (groupName, groupRoot, metaFile) {
+            registered.push(metaFile);
+        };
+        yui.registerModules = function (groupName, modules) {
+            A.areEqual('app', groupName);
+            A.isObject(modules.foo, 'server modules should be registered');
+        };
+
+        // creating a unique and temporary folder to simulate the source of the group
+        tmp.dir(function (err, path) {
+            var srcDir = libpath.join(path, 'src'),
+                file = libpath.join(srcDir, 'foo.js');
+
+            if (err || !path) {
+                A.fail('unable to create a temporary folder to test');
+            }
+
+            libfs.mkdirSync(srcDir);
+            libfs.writeFileSync(file, 'YUI.add("foo", function (Y) {}, "", { requires: [] });');
+            libfs.writeFileSync(libpath.join(srcDir, 'bar.js'), 'YUI.add("bar", function (Y) {});');
+
+            yui.watch(srcDir, { group: 'app' }, function (err, builds) {
+                calls += 1;
+                if (calls === 1) {
+                    A.areEqual(3, builds.length, 'every module and the meta module should be built');
+                    A.areEqual(libpath.join(path, 'build', '.watch', 'loader-app.js'), registered[0]);
+                    A.isTrue(libfs.readFileSync(registered[0], 'utf8').indexOf('"foo"') > 0, 'meta should include foo');
+                    // changing a module to trigger a rebuild
+                    setTimeout(function () {
+                        libfs.writeFileSync(file, 'YUI.add("foo", function (Y) {}, "", { requires: ["bar"] });');
+                    }, 50);
+                    return;
+                }
+                yui.unwatch();
+                self.resume(function () {
+                    A.areEqual(2, builds.length, 'only the modified module and the meta module should be built');
+                    A.areEqual(file, builds[0]);
+                    A.areEqual(2, registered.length, 'group should be registered again');
+                });
+            });
+        });
+        this.wait();
+    }
+
+}));
+
+YUITest.TestRunner.add(suite);
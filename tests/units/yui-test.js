@@ -13,6 +13,7 @@ var YUITest = require('yuitest'),
     OA = YUITest.ObjectAssert,
     mockery = require('mockery'),
     mockYUI,
+    mockSeed,
     mockExpress,
     mockExpressState,
     suite,
@@ -27,6 +28,13 @@ mockYUI = {
         version: '1.0'
     }
 };
+mockSeed = {
+    YUI: {
+        config: {},
+        Env: {},
+        applyConfig: function () {}
+    }
+};
 mockExpress = {
     application: {
         defaultConfiguration: function () {}
@@ -46,6 +54,8 @@ suite.add(new YUITest.TestCase({
     setUp: function () {
         mockery.registerMock('yui', mockYUI);
         mockery.registerMock('yui/debug', mockYUI);
+        mockery.registerMock('/foo/bar/yui-nodejs/yui-nodejs.js', mockSeed);
+        mockery.registerMock('/foo/bar/yui-nodejs/yui-nodejs-debug.js', mockSeed);
         mockery.registerMock('express', mockExpress);
         mockery.registerMock('express-state', mockExpressState);
         mockery.enable({
@@ -58,6 +68,8 @@ suite.add(new YUITest.TestCase({
     tearDown: function () {
         mockery.deregisterMock('yui');
         mockery.deregisterMock('yui/debug');
+        mockery.deregisterMock('/foo/bar/yui-nodejs/yui-nodejs.js');
+        mockery.deregisterMock('/foo/bar/yui-nodejs/yui-nodejs-debug.js');
         mockery.deregisterMock('express');
         mockery.deregisterMock('express-state');
         mockery.disable();
@@ -67,6 +79,18 @@ suite.add(new YUITest.TestCase({
         var obj = new ExpressYUI({});
         A.areEqual('/foo/bar', obj.path, 'wrong path of YUI');
         A.areEqual('1.0', obj.version, 'wrong version of YUI');
+        A.areSame(mockSeed.YUI, obj.YUI, 'a fresh copy of the seed should be used');
+        A.isTrue(obj.YUI.Env._ready, 'the seed should be ready for the server side');
+    },
+
+    "test events": function () {
+        var obj = new ExpressYUI({}),
+            diagnostics;
+        obj.on('diagnostics', function (list) {
+            diagnostics = list;
+        });
+        obj.emit('diagnostics', []);
+        A.isArray(diagnostics, 'app.yui should be an event emitter');
     },
 
     "test config": function () {
@@ -138,6 +162,56 @@ suite.add(new YUITest.TestCase({
         result = ExpressYUI.extend(app);
         A.areSame(1, app.yui, 'already extended app should not be extended again');
         A.areSame(result, app, 'extend shoud return the express app');
+    },
+
+    "test isolated apps": function () {
+        var settings = { 'yui server instances': 'request' },
+            admin = ExpressYUI.extend({ set: function (name) { return settings[name]; } }).yui,
+            pub = ExpressYUI.extend({ set: function (name) { return settings[name]; } }).yui,
+            layer = Object.create(pub),
+            configs = {};
+
+        function mockYUIFn(name) {
+            return function () {
+                configs[name] = Array.prototype.slice.call(arguments);
+                return {
+                    name: name,
+                    used: [],
+                    use: function (mods) {
+                        this.used = this.used.concat(mods);
+                    },
+                    applyConfig: function () {}
+                };
+            };
+        }
+        admin.YUI = mockYUIFn('admin');
+        pub.YUI = mockYUIFn('pub');
+
+        A.areNotSame(admin._groupFolderMap, pub._groupFolderMap, '_groupFolderMap should be per app');
+        A.areNotSame(admin._bundles, pub._bundles, '_bundles should be per app');
+
+        admin.applyGroupConfig('foo', {});
+        admin._groupFolderMap.foo = __dirname;
+        admin._bundles.foo = {};
+        admin.registerModules('foo', { baz: {} });
+        admin.attachModules(['baz']);
+        // request layers should share the queues with the app
+        layer.attachModules(['xyz']);
+
+        A.isUndefined(pub._groupsQueue.foo, 'groups from one app should not be queued in another app');
+        A.isUndefined(pub._bundles.foo, 'bundles from one app should not be visible in another app');
+        A.areSame(1, admin._modulesQueue.length, 'modules from one app should not be queued in another app');
+        A.areSame('xyz', pub._modulesQueue[0], 'request layers should use the queue of the app');
+
+        A.areSame('admin', admin.use().name);
+        A.areSame('pub', pub.use().name);
+        A.areNotSame(admin._Y, pub._Y, 'each app should have its own Y instance');
+        A.isObject(configs.admin[2].groups.foo, 'group foo should be configured in the admin Y instance');
+        A.isUndefined(configs.pub[2].groups, 'group foo should not be configured in the public Y instance');
+        A.areSame('baz', admin._Y.used[0]);
+        A.areSame('xyz', pub._Y.used[0]);
+        A.areSame(0, pub._modulesQueue.length, 'queues should be reset after use()');
+        A.isUndefined(admin._groupsQueue.foo, 'queues should be reset after use()');
     }
 
 }));